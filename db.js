@@ -23,6 +23,33 @@ export async function dbQuery(sql, params = []) {
   return pool.query(sql, params);
 }
 
+// Dedicated (unpooled) connection for session state: advisory locks and LISTEN
+export async function dbConnect() {
+  if (!hasDb) throw new Error("DB not configured (DATABASE_URL missing)");
+  const client = new pg.Client(poolConfig);
+  await client.connect();
+  return client;
+}
+
+// Runs fn(client) inside BEGIN/COMMIT on one pooled connection; rolls back on throw
+export async function dbTx(fn) {
+  if (!hasDb) throw new Error("DB not configured (DATABASE_URL missing)");
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 // Never crash boot if schema drift exists
 async function tryQuery(sql) {
   if (!hasDb) return;
@@ -53,6 +80,71 @@ export async function dbInit() {
     );
   `);
 
+  // Auth: API keys (sha256 only), login sessions, settings audit trail
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      key_id BIGINT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS settings_audit (
+      id BIGSERIAL PRIMARY KEY,
+      ts TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      key TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      role TEXT,
+      via TEXT,
+      before JSONB,
+      after JSONB
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS settings_audit_key_idx ON settings_audit(key, id);`);
+  await tryQuery(`ALTER TABLE settings_audit ADD COLUMN IF NOT EXISTS version INT;`);
+
+  // Every saved value of every setting; settings.version points at the current one
+  await tryQuery(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;`);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS settings_versions (
+      key TEXT NOT NULL,
+      version INT NOT NULL,
+      value JSONB NOT NULL,
+      ts TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      actor TEXT NOT NULL,
+      role TEXT,
+      via TEXT,
+      note TEXT,
+      PRIMARY KEY (key, version)
+    );
+  `);
+
+  // Which instance holds the runner lock (informational; the advisory lock is authoritative)
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS runner_leader (
+      id TEXT PRIMARY KEY,
+      instance TEXT NOT NULL,
+      acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
   await tryQuery(`
     CREATE TABLE IF NOT EXISTS events (
       id BIGSERIAL PRIMARY KEY,
@@ -62,6 +154,21 @@ export async function dbInit() {
     );
   `);
 
+  await tryQuery(`CREATE INDEX IF NOT EXISTS events_ts_idx ON events(ts);`);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS events_type_id_idx ON events(type, id);`);
+
+  // Daily counts of events removed by retention
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS event_rollups (
+      day DATE NOT NULL,
+      type TEXT NOT NULL,
+      count INT NOT NULL DEFAULT 0,
+      first_id BIGINT,
+      last_id BIGINT,
+      PRIMARY KEY (day, type)
+    );
+  `);
+
   // Learning
   await tryQuery(`
     CREATE TABLE IF NOT EXISTS learning_samples (
@@ -134,6 +241,57 @@ export async function dbInit() {
     );
   `);
 
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS realized_pnl NUMERIC NOT NULL DEFAULT 0;`);
+
+  // Risk manager state
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS peak_equity NUMERIC;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS day_start_equity NUMERIC;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS day_start_date TEXT;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS paused BOOLEAN NOT NULL DEFAULT FALSE;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS paused_reason TEXT;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;`);
+
+  // Short selling: borrow fee accrual
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS borrow_fees NUMERIC NOT NULL DEFAULT 0;`);
+  await tryQuery(`ALTER TABLE bot_positions ADD COLUMN IF NOT EXISTS borrow_accrued_at TIMESTAMPTZ;`);
+
+  // Lot ledger: one lot per BUY fill, one close row per (SELL, lot) pair
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS bot_lots (
+      id BIGSERIAL PRIMARY KEY,
+      bot TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL DEFAULT 'long' CHECK (side IN ('long','short')),
+      open_trade_id BIGINT,
+      opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      qty NUMERIC NOT NULL,
+      remaining_qty NUMERIC NOT NULL,
+      price NUMERIC NOT NULL,
+      closed_at TIMESTAMPTZ
+    );
+  `);
+  await tryQuery(`ALTER TABLE bot_lots ADD COLUMN IF NOT EXISTS side TEXT NOT NULL DEFAULT 'long';`);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS bot_lots_open_idx ON bot_lots(bot, symbol, opened_at) WHERE remaining_qty > 0;`);
+
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS bot_lot_closes (
+      id BIGSERIAL PRIMARY KEY,
+      closed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      bot TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      lot_id BIGINT NOT NULL REFERENCES bot_lots(id),
+      sell_trade_id BIGINT,
+      qty NUMERIC NOT NULL,
+      open_price NUMERIC NOT NULL,
+      cost_basis NUMERIC NOT NULL,
+      close_price NUMERIC NOT NULL,
+      realized_pnl NUMERIC NOT NULL,
+      holding_sec BIGINT NOT NULL DEFAULT 0,
+      method TEXT NOT NULL DEFAULT 'fifo'
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS bot_lot_closes_bot_idx ON bot_lot_closes(bot, symbol, closed_at);`);
+
   // Ensure columns exist even if older version of bot_trades exists
   await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS ts TIMESTAMPTZ NOT NULL DEFAULT NOW();`);
   await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS strategy TEXT NOT NULL DEFAULT '';`);
@@ -142,13 +300,167 @@ export async function dbInit() {
   await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS horizon TEXT NOT NULL DEFAULT 'medium';`);
   await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS market_open BOOLEAN NOT NULL DEFAULT FALSE;`);
   await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS features JSONB NOT NULL DEFAULT '{}'::jsonb;`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS requested_qty NUMERIC;`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'filled';`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS reject_reason TEXT;`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS order_id BIGINT;`);
+
+  // Order book (resting limit/stop orders + bracket children)
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS bot_orders (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      bot TEXT NOT NULL,
+      strategy TEXT NOT NULL DEFAULT '',
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL CHECK (side IN ('BUY','SELL')),
+      type TEXT NOT NULL CHECK (type IN ('market','limit','stop','stop_limit')),
+      qty NUMERIC NOT NULL,
+      limit_price NUMERIC,
+      stop_price NUMERIC,
+      tif TEXT NOT NULL DEFAULT 'gtc',
+      status TEXT NOT NULL DEFAULT 'open',
+      parent_id BIGINT,
+      oco_group TEXT,
+      bracket JSONB,
+      expires_at TIMESTAMPTZ,
+      triggered_at TIMESTAMPTZ,
+      filled_price NUMERIC,
+      filled_trade_id BIGINT,
+      reject_reason TEXT,
+      rationale TEXT NOT NULL DEFAULT '',
+      confidence INT NOT NULL DEFAULT 50,
+      horizon TEXT NOT NULL DEFAULT 'medium',
+      features JSONB NOT NULL DEFAULT '{}'::jsonb
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS bot_orders_status_idx ON bot_orders(status, created_at);`);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS bot_orders_parent_idx ON bot_orders(parent_id);`);
+
+  // Model versioning: every weight change, periodic snapshots, shadow weight sets
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS model_shadow_weights (
+      strategy TEXT NOT NULL,
+      feature TEXT NOT NULL,
+      weight NUMERIC NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY(strategy, feature)
+    );
+  `);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS model_shadows (
+      strategy TEXT PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      lr NUMERIC NOT NULL DEFAULT 0.05,
+      from_snapshot_id BIGINT,
+      note TEXT NOT NULL DEFAULT ''
+    );
+  `);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS model_weight_history (
+      id BIGSERIAL PRIMARY KEY,
+      ts TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      strategy TEXT NOT NULL,
+      variant TEXT NOT NULL DEFAULT 'live',
+      feature TEXT NOT NULL,
+      old_weight NUMERIC,
+      new_weight NUMERIC NOT NULL,
+      reason TEXT NOT NULL DEFAULT 'learn',
+      sample_id BIGINT
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS model_weight_history_idx ON model_weight_history(strategy, variant, ts);`);
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS model_snapshots (
+      id BIGSERIAL PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      strategy TEXT NOT NULL,
+      variant TEXT NOT NULL DEFAULT 'live',
+      label TEXT NOT NULL DEFAULT '',
+      reason TEXT NOT NULL DEFAULT 'manual',
+      weights JSONB NOT NULL
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS model_snapshots_idx ON model_snapshots(strategy, created_at);`);
+  await tryQuery(`ALTER TABLE learning_samples ADD COLUMN IF NOT EXISTS learned_p NUMERIC;`);
+  await tryQuery(`ALTER TABLE learning_samples ADD COLUMN IF NOT EXISTS shadow_p NUMERIC;`);
+
+  // Learning checkpoints: each sample is graded at several windows (e.g. 1h / 1d / 5d)
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS learning_checkpoints (
+      id BIGSERIAL PRIMARY KEY,
+      sample_id BIGINT NOT NULL,
+      after_sec INT NOT NULL,
+      due_at TIMESTAMPTZ NOT NULL,
+      primary_window BOOLEAN NOT NULL DEFAULT FALSE,
+      evaluated_at TIMESTAMPTZ,
+      price_after NUMERIC,
+      outcome_pct NUMERIC,
+      correct BOOLEAN,
+      UNIQUE (sample_id, after_sec)
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS learning_checkpoints_due_idx ON learning_checkpoints(due_at) WHERE evaluated_at IS NULL;`);
+  // Samples logged before checkpoints existed: one primary checkpoint at their eval_after_sec
+  await tryQuery(`
+    INSERT INTO learning_checkpoints(sample_id, after_sec, due_at, primary_window)
+    SELECT id, eval_after_sec, created_at + (eval_after_sec || ' seconds')::interval, TRUE
+    FROM learning_samples s
+    WHERE evaluated_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM learning_checkpoints c WHERE c.sample_id = s.id)
+    ON CONFLICT (sample_id, after_sec) DO NOTHING;
+  `);
+
+  // Bot instances: which strategy plugin drives the bot, with what params
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS strategy TEXT;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS label TEXT;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS params JSONB NOT NULL DEFAULT '{}'::jsonb;`);
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS reset_at TIMESTAMPTZ;`);
+
+  // Multi-venue: account base currency, instrument currency + FX on every trade
+  await tryQuery(`ALTER TABLE bot_accounts ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS currency TEXT;`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS local_price NUMERIC;`);
+  await tryQuery(`ALTER TABLE bot_trades ADD COLUMN IF NOT EXISTS fx_rate NUMERIC;`);
+
+  // Trades + lot closes moved aside by a bot reset
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS bot_archive (
+      id BIGSERIAL PRIMARY KEY,
+      archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      bot TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('trade','lot_close')),
+      data JSONB NOT NULL
+    );
+  `);
+  await tryQuery(`CREATE INDEX IF NOT EXISTS bot_archive_bot_idx ON bot_archive(bot, archived_at);`);
+
+  // OHLCV history: provider candles, topped up from our own quote samples
+  await tryQuery(`
+    CREATE TABLE IF NOT EXISTS price_bars (
+      symbol TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      ts TIMESTAMPTZ NOT NULL,
+      open NUMERIC NOT NULL,
+      high NUMERIC NOT NULL,
+      low NUMERIC NOT NULL,
+      close NUMERIC NOT NULL,
+      volume NUMERIC,
+      source TEXT NOT NULL DEFAULT 'quotes',
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (symbol, interval, ts)
+    );
+  `);
 
   // Defaults
   await tryQuery(`
     INSERT INTO settings(key, value)
-    VALUES ('learning_speed', '{"mode":"realtime","evalAfterSec":3600}'::jsonb)
+    VALUES ('learning_speed', '{"mode":"realtime"}'::jsonb)
     ON CONFLICT (key) DO NOTHING;
   `);
+  // evalAfterSec was replaced by the learning_eval windows
+  await tryQuery(`UPDATE settings SET value = value - 'evalAfterSec' WHERE key='learning_speed' AND value ? 'evalAfterSec';`);
 
   await tryQuery(`
     INSERT INTO settings(key, value)
@@ -156,24 +468,33 @@ export async function dbInit() {
     ON CONFLICT (key) DO NOTHING;
   `);
 
+  await tryQuery(`
+    INSERT INTO settings(key, value)
+    VALUES ('news_impact', '{"mode":"default","rules":[]}'::jsonb)
+    ON CONFLICT (key) DO NOTHING;
+  `);
+
+  await tryQuery(`
+    INSERT INTO settings(key, value)
+    VALUES ('accounting', '{"method":"fifo","bots":{}}'::jsonb)
+    ON CONFLICT (key) DO NOTHING;
+  `);
+
   await tryQuery(`
     INSERT INTO runner_state(id, value)
     VALUES ('main', '{"idx":0,"lastTick":null,"lastSymbol":"AAPL"}'::jsonb)
     ON CONFLICT (id) DO NOTHING;
   `);
 
-  // Initialize weights
-  const strategies = ["sp500_long", "market_swing", "day_trade", "news_only"];
-  const features = ["bias", "avgSent", "changePercent"];
-  for (const s of strategies) {
-    for (const f of features) {
-      await tryQuery(`
-        INSERT INTO model_weights(strategy, feature, weight)
-        VALUES ('${s}','${f}',0)
-        ON CONFLICT (strategy, feature) DO NOTHING;
-      `);
-    }
-  }
+  // Settings saved before versioning (and the seeds above) become version 1
+  await tryQuery(`
+    INSERT INTO settings_versions(key, version, value, ts, actor, note)
+    SELECT key, 1, value, updated_at, 'system', 'initial'
+    FROM settings
+    WHERE version = 0
+    ON CONFLICT (key, version) DO NOTHING;
+  `);
+  await tryQuery(`UPDATE settings SET version = 1 WHERE version = 0;`);
 }
 
 export async function getSetting(key) {
@@ -182,18 +503,71 @@ export async function getSetting(key) {
   return r.rows?.[0]?.value ?? null;
 }
 
-export async function setSetting(key, valueObj) {
+// Each save is a new settings_versions row; returns the new version number.
+// audit ({ actor, role, via, note }) also records the change with its before/after values in settings_audit
+export async function setSetting(key, valueObj, audit = null) {
   if (!hasDb) return null;
-  await dbQuery(
+  const value = JSON.stringify(valueObj);
+  return dbTx(async (db) => {
+    // FOR UPDATE locks nothing before the key's first save, so serialize saves per key
+    await db.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`settings:${key}`]);
+    const before = await db.query(`SELECT value FROM settings WHERE key=$1 FOR UPDATE`, [key]);
+    const last = await db.query(`SELECT COALESCE(MAX(version), 0) AS v FROM settings_versions WHERE key=$1`, [key]);
+    const version = Number(last.rows[0].v) + 1;
+    await db.query(
+      `
+      INSERT INTO settings(key, value, version, updated_at)
+      VALUES ($1, $2::jsonb, $3, NOW())
+      ON CONFLICT (key)
+      DO UPDATE SET value=$2::jsonb, version=$3, updated_at=NOW();
+    `,
+      [key, value, version]
+    );
+    await db.query(`INSERT INTO settings_versions(key, version, value, actor, role, via, note) VALUES ($1,$2,$3::jsonb,$4,$5,$6,$7)`, [
+      key,
+      version,
+      value,
+      audit?.actor || "system",
+      audit?.role || null,
+      audit?.via || null,
+      audit?.note || null,
+    ]);
+    if (audit) {
+      await db.query(
+        `INSERT INTO settings_audit(key, actor, role, via, before, after, version) VALUES ($1,$2,$3,$4,$5::jsonb,$6::jsonb,$7)`,
+        [key, audit.actor || "unknown", audit.role || null, audit.via || null, JSON.stringify(before.rows[0]?.value ?? null), value, version]
+      );
+    }
+    return version;
+  });
+}
+
+// Newest first; cursor is the last version of the previous page
+export async function listSettingVersions(key, { limit = 50, cursor = null } = {}) {
+  if (!hasDb) return [];
+  const r = await dbQuery(
     `
-    INSERT INTO settings(key, value, updated_at)
-    VALUES ($1, $2::jsonb, NOW())
-    ON CONFLICT (key)
-    DO UPDATE SET value=$2::jsonb, updated_at=NOW();
+    SELECT version, ts, actor, role, via, note, value
+    FROM settings_versions
+    WHERE key=$1 AND ($2::int IS NULL OR version < $2)
+    ORDER BY version DESC
+    LIMIT $3
   `,
-    [key, JSON.stringify(valueObj)]
+    [key, cursor, limit]
   );
-  return valueObj;
+  return r.rows;
+}
+
+export async function getSettingVersion(key, version) {
+  if (!hasDb) return null;
+  const r = await dbQuery(`SELECT version, ts, actor, role, via, note, value FROM settings_versions WHERE key=$1 AND version=$2`, [key, version]);
+  return r.rows[0] || null;
+}
+
+export async function getSettingCurrentVersion(key) {
+  if (!hasDb) return null;
+  const r = await dbQuery(`SELECT version FROM settings WHERE key=$1`, [key]);
+  return r.rows[0] ? Number(r.rows[0].version) : null;
 }
 
 export async function getRunnerState() {
@@ -216,26 +590,52 @@ export async function setRunnerState(valueObj) {
   return valueObj;
 }
 
-export async function getWeights(strategy) {
-  if (!hasDb) return { bias: 0, avgSent: 0, changePercent: 0 };
+// "live" weights drive trades; "shadow" weights learn and score alongside without affecting them
+const WEIGHT_TABLES = { live: "model_weights", shadow: "model_shadow_weights" };
+
+export async function getWeights(strategy, variant = "live") {
+  if (!hasDb) return { bias: 0 };
   const r = await dbQuery(
-    `SELECT feature, weight FROM model_weights WHERE strategy=$1`,
+    `SELECT feature, weight FROM ${WEIGHT_TABLES[variant]} WHERE strategy=$1`,
     [strategy]
   );
-  const w = { bias: 0, avgSent: 0, changePercent: 0 };
+  const w = { bias: 0 };
   for (const row of r.rows) w[row.feature] = Number(row.weight);
   return w;
 }
 
-export async function setWeight(strategy, feature, weight) {
+// Provision zero weights for a strategy's declared features (existing rows untouched)
+export async function ensureWeights(strategy, features) {
+  if (!hasDb) return;
+  for (const f of features) {
+    await dbQuery(
+      `
+      INSERT INTO model_weights(strategy, feature, weight)
+      VALUES ($1,$2,0)
+      ON CONFLICT (strategy, feature) DO NOTHING
+    `,
+      [strategy, f]
+    );
+  }
+}
+
+// Every write is also appended to model_weight_history (old -> new, why, which sample)
+export async function setWeight(strategy, feature, weight, { variant = "live", reason = "learn", sampleId = null } = {}) {
   if (!hasDb) return;
+  const table = WEIGHT_TABLES[variant];
   await dbQuery(
     `
-    INSERT INTO model_weights(strategy, feature, weight, updated_at)
-    VALUES ($1,$2,$3,NOW())
-    ON CONFLICT (strategy, feature)
-    DO UPDATE SET weight=$3, updated_at=NOW()
+    WITH prev AS (
+      SELECT weight FROM ${table} WHERE strategy=$1 AND feature=$2
+    ), up AS (
+      INSERT INTO ${table}(strategy, feature, weight, updated_at)
+      VALUES ($1,$2,$3,NOW())
+      ON CONFLICT (strategy, feature)
+      DO UPDATE SET weight=$3, updated_at=NOW()
+    )
+    INSERT INTO model_weight_history(strategy, variant, feature, old_weight, new_weight, reason, sample_id)
+    SELECT $1, $4, $2, (SELECT weight FROM prev), $3, $5, $6
   `,
-    [strategy, feature, weight]
+    [strategy, feature, weight, variant, reason, sampleId]
   );
 }
@@ -1,7 +1,30 @@
 const $ = (id) => document.getElementById(id);
 
+// On 401 ask for an API key once (concurrent callers share the prompt) and trade it for a
+// session cookie. A cancelled or failed login is not asked again until the page reloads.
+const authState = { declined: false, pending: null };
+
+function login() {
+  if (authState.declined) return Promise.resolve(false);
+  authState.pending ||= (async () => {
+    const apiKey = prompt("API key");
+    const r = apiKey ? await fetch("/api/auth/login", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ apiKey }) }) : null;
+    if (r && !r.ok) alert("Login failed");
+    authState.declined = !r?.ok;
+    return !!r?.ok;
+  })().finally(() => {
+    authState.pending = null;
+  });
+  return authState.pending;
+}
+
 async function getJSON(url, opts) {
-  const r = await fetch(url, opts);
+  let r = await fetch(url, opts);
+  if (r.status === 401 && (await login())) r = await fetch(url, opts);
+  if (r.status === 401) {
+    setWsStatus("Sign in required 🔒 (reload to retry)");
+    throw new Error(`Sign in required for ${url}`);
+  }
   const txt = await r.text();
   try { return JSON.parse(txt); }
   catch { throw new Error(`Non-JSON from ${url}: ${txt.slice(0, 120)}`); }
@@ -23,6 +46,17 @@ function pushEventLine(text) {
   while (box.children.length > 80) box.removeChild(box.lastChild);
 }
 
+// Rejected orders stay in the stream so the log matches what actually happened
+function tradeSide(t) {
+  return t.status === "rejected" ? `${t.side} ✖` : t.side;
+}
+
+function tradeWhy(t) {
+  if (t.status === "rejected") return `Rejected (${t.reject_reason || "unknown"}): ${t.rationale || ""}`;
+  const partial = t.requested_qty != null && Number(t.requested_qty) > Number(t.qty);
+  return partial ? `Partial ${Number(t.qty)}/${Number(t.requested_qty)}: ${t.rationale || ""}` : (t.rationale || "");
+}
+
 function renderTrades(items) {
   const tb = $("tradeStreamBody");
   if (!items || !items.length) {
@@ -30,14 +64,40 @@ function renderTrades(items) {
     return;
   }
   tb.innerHTML = items.slice(0, 25).map(t => `
-    <tr class="border-t border-white/5">
+    <tr class="border-t border-white/5${t.status === "rejected" ? " muted" : ""}">
       <td class="py-2 pr-3 muted">${new Date(t.ts).toLocaleString()}</td>
       <td class="py-2 pr-3">${t.bot}</td>
-      <td class="py-2 pr-3">${t.side}</td>
+      <td class="py-2 pr-3">${tradeSide(t)}</td>
       <td class="py-2 pr-3">${t.symbol}</td>
       <td class="py-2 pr-3">${Number(t.qty || 0).toFixed(3)}</td>
       <td class="py-2 pr-3">$${Number(t.price || 0).toFixed(2)}</td>
-      <td class="py-2 muted">${t.rationale || ""}</td>
+      <td class="py-2 muted">${tradeWhy(t)}</td>
+    </tr>
+  `).join("");
+}
+
+function orderTrigger(o) {
+  const lim = o.limit_price != null ? `lim $${Number(o.limit_price).toFixed(2)}` : "";
+  const stop = o.stop_price != null ? `stop $${Number(o.stop_price).toFixed(2)}` : "";
+  return [stop, lim].filter(Boolean).join(" → ") || "market";
+}
+
+function renderOrders(items) {
+  const tb = $("ordersBody");
+  if (!tb) return;
+  if (!items || !items.length) {
+    tb.innerHTML = `<tr class="muted"><td class="py-3" colspan="7">No open orders.</td></tr>`;
+    return;
+  }
+  tb.innerHTML = items.map(o => `
+    <tr class="border-t border-white/5">
+      <td class="py-2 pr-3">${o.bot}</td>
+      <td class="py-2 pr-3">${o.side}</td>
+      <td class="py-2 pr-3">${o.symbol}</td>
+      <td class="py-2 pr-3">${o.type}${o.oco_group ? " (bracket)" : ""}${o.status === "triggered" ? " • triggered" : ""}</td>
+      <td class="py-2 pr-3">${Number(o.qty || 0).toFixed(3)}</td>
+      <td class="py-2 pr-3">${orderTrigger(o)}</td>
+      <td class="py-2 muted">${o.tif}${o.expires_at ? ` • until ${new Date(o.expires_at).toLocaleString()}` : ""}</td>
     </tr>
   `).join("");
 }
@@ -49,20 +109,30 @@ function renderBankroll(items) {
     return;
   }
 
+  const money = (x) => `${x < 0 ? "-" : ""}$${Math.abs(x).toFixed(2)}`;
+
   box.innerHTML = items.map(p => {
     const cash = Number(p.cash);
     const goal = Number(p.goal);
-    const pct = Math.max(0, Math.min(100, (cash / goal) * 100));
+    const equity = Number(p.equity ?? cash);
+    const unrealized = Number(p.unrealizedPnl || 0);
+    const realized = Number(p.realizedPnl || 0);
+    const pct = Math.max(0, Math.min(100, (equity / goal) * 100));
     return `
-      <button data-bot="${p.bot}" class="botCard chip rounded-2xl p-4 text-left hover:opacity-95">
+      <button data-bot="${p.bot}" class="botCard chip rounded-2xl p-4 text-left hover:opacity-95 ${p.paused ? "opacity-60" : ""}">
         <div class="flex items-center justify-between">
-          <div class="font-semibold">${p.bot}</div>
-          <div class="text-xs muted">$${cash.toFixed(2)}</div>
+          <div class="font-semibold">${p.paused ? "⏸ " : ""}${p.label || p.bot}</div>
+          <div class="text-xs muted">Equity ${money(equity)}</div>
         </div>
+        ${p.paused ? `<div class="mt-1 text-xs text-amber-300">Paused • ${p.pausedReason || "no reason given"}</div>` : ""}
         <div class="mt-3 h-2 rounded-full bg-white/10 overflow-hidden">
           <div style="width:${pct}%" class="h-2 bg-gradient-to-r from-indigo-500 to-fuchsia-500"></div>
         </div>
         <div class="mt-2 text-xs muted">Progress to $${goal.toFixed(0)} • ${pct.toFixed(1)}%</div>
+        <div class="mt-1 text-xs muted">
+          Cash ${money(cash)} • Exposure ${money(Number(p.exposure || 0))} • ${Number(p.positionCount || 0)} pos
+        </div>
+        <div class="mt-1 text-xs muted">Unrealized ${money(unrealized)} • Realized ${money(realized)}</div>
       </button>
     `;
   }).join("");
@@ -80,10 +150,15 @@ async function refreshWarRoom() {
   const t = await getJSON("/api/trades/recent?limit=25");
   renderTrades(t.items || []);
 
+  const o = await getJSON("/api/orders?status=open,triggered&limit=50");
+  renderOrders(o.items || []);
+
   const r = await getJSON("/api/runner/status");
   $("runnerInfo").innerHTML = `
-    <div><b>Enabled:</b> ${r.enabled ? "YES" : "NO"}</div>
-    <div><b>Interval:</b> ${r.intervalSec}s</div>
+    <div><b>Enabled:</b> ${r.enabled ? (r.paused ? "PAUSED" : "YES") : "NO"}</div>
+    <div><b>Settling orders:</b> ${r.settling ? "YES" : "NO"}${r.lastSettleAt ? ` (last ${new Date(r.lastSettleAt).toLocaleTimeString()})` : ""}</div>
+    <div><b>Interval:</b> ${r.intervalSec}s • <b>Concurrency:</b> ${r.concurrency}</div>
+    <div><b>In flight:</b> ${(r.inFlight || []).map((x) => x.symbol).join(", ") || "—"}</div>
     <div><b>Market:</b> ${r.market.open ? "OPEN" : "CLOSED"} (${r.market.reason})</div>
     <div><b>News-only when closed:</b> ${r.newsOnlyWhenClosed ? "YES" : "NO"}</div>
     <div><b>Universe:</b> ${r.universe.mode}${r.universe.mode==="custom" ? ` (${(r.universe.custom||[]).length})` : ""}</div>
@@ -128,13 +203,13 @@ async function openBotDrawer(bot) {
           </thead>
           <tbody>
             ${items.map(t => `
-              <tr class="border-t border-white/5">
+              <tr class="border-t border-white/5${t.status === "rejected" ? " muted" : ""}">
                 <td class="py-2 pr-3 muted">${new Date(t.ts).toLocaleString()}</td>
-                <td class="py-2 pr-3">${t.side}</td>
+                <td class="py-2 pr-3">${tradeSide(t)}</td>
                 <td class="py-2 pr-3">${t.symbol}</td>
                 <td class="py-2 pr-3">${Number(t.qty||0).toFixed(3)}</td>
                 <td class="py-2 pr-3">$${Number(t.price||0).toFixed(2)}</td>
-                <td class="py-2 muted">${t.rationale || ""}</td>
+                <td class="py-2 muted">${tradeWhy(t)}</td>
               </tr>
             `).join("")}
           </tbody>
@@ -146,17 +221,61 @@ async function openBotDrawer(bot) {
   }
 }
 
+// Replays arrive in bursts, so panel refreshes are coalesced
+let refreshTimer = null;
+function refreshSoon() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => refreshWarRoom().catch(() => {}), 300);
+}
+
+// Reconnects with exponential backoff and resumes from the last events.id it saw, so nothing
+// emitted while the socket was down is lost. An app-level ping catches half-open connections.
+const wsState = { lastId: null, attempt: 0, pingTimer: null, lastMessageAt: 0 };
+
 function connectWS() {
   const proto = location.protocol === "https:" ? "wss" : "ws";
-  const ws = new WebSocket(`${proto}://${location.host}/ws`);
+  const resume = wsState.lastId !== null ? `?lastId=${wsState.lastId}` : "";
+  const ws = new WebSocket(`${proto}://${location.host}/ws${resume}`);
+  let opened = false;
 
-  ws.onopen = () => setWsStatus("WS: live ✅");
-  ws.onclose = () => setWsStatus("WS: closed (refresh) ⚠️");
+  ws.onopen = () => {
+    opened = true;
+    wsState.attempt = 0;
+    wsState.lastMessageAt = Date.now();
+    setWsStatus("WS: live ✅");
+    clearInterval(wsState.pingTimer);
+    wsState.pingTimer = setInterval(() => {
+      if (Date.now() - wsState.lastMessageAt > 60000) return ws.close();
+      try { ws.send(JSON.stringify({ op: "ping", ts: Date.now() })); } catch {}
+    }, 25000);
+  };
+  // Browsers hide the upgrade's 401, so a socket that never opened (or was dropped for a
+  // revoked key) checks /api/auth/me and stops retrying if no one is signed in
+  ws.onclose = async (ev) => {
+    clearInterval(wsState.pingTimer);
+    if (!opened || ev.code === 4401) {
+      const me = await fetch("/api/auth/me").then((r) => r.json()).catch(() => null);
+      if (me && !me.role && !(await login())) return setWsStatus("WS: sign in required 🔒 (reload to retry)");
+    }
+    const delay = Math.min(30000, 1000 * 2 ** wsState.attempt) * (0.75 + Math.random() * 0.5);
+    wsState.attempt++;
+    setWsStatus(`WS: reconnecting in ${Math.round(delay / 1000)}s ⚠️`);
+    setTimeout(connectWS, delay);
+  };
   ws.onerror = () => setWsStatus("WS: error ⚠️");
 
   ws.onmessage = async (ev) => {
     try {
       const msg = JSON.parse(ev.data);
+      wsState.lastMessageAt = Date.now();
+      if (msg.id) wsState.lastId = Math.max(wsState.lastId || 0, msg.id);
+      if (msg.type === "hello" && wsState.lastId === null) wsState.lastId = msg.payload?.lastEventId ?? null;
+      if (msg.type === "pong") return;
+      if (msg.type === "replay_done") {
+        if (msg.payload?.count) pushEventLine(`↺ Replayed ${msg.payload.count} missed events`);
+        refreshSoon();
+        return;
+      }
       $("lastEvent").textContent = `${msg.type} • ${new Date(msg.ts).toLocaleTimeString()}`;
 
       if (msg.type === "carousel_tick") {
@@ -171,7 +290,27 @@ function connectWS() {
         const allowed = msg.payload?.tradesAllowed;
         const np = msg.payload?.newsProvider;
         pushEventLine(`⚔️ Fight: ${sym} • winner=${winner} • trades=${allowed ? "YES" : "NO"} • news=${np}`);
-        await refreshWarRoom();
+        refreshSoon();
+      }
+
+      if (msg.type === "orders_processed") {
+        pushEventLine(`📑 Orders: ${msg.payload?.filled || 0} filled • ${msg.payload?.expired || 0} expired`);
+        refreshSoon();
+      }
+
+      if (msg.type === "risk_block") {
+        const p = msg.payload || {};
+        pushEventLine(`🛑 Risk block: ${p.bot} ${p.side} ${p.symbol} • ${p.rule} • ${p.detail || ""}`);
+      }
+
+      if (msg.type === "bot_paused") {
+        pushEventLine(`⏸ Bot paused: ${msg.payload?.bot} • ${msg.payload?.reason || ""}`);
+        refreshSoon();
+      }
+
+      if (["bot_resumed", "bot_reset", "bot_liquidated", "bot_created"].includes(msg.type)) {
+        pushEventLine(`🤖 ${msg.type.replace("bot_", "Bot ")}: ${msg.payload?.bot}`);
+        refreshSoon();
       }
 
       if (msg.type === "learning_evaluated") {
@@ -4,18 +4,28 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { WebSocketServer } from "ws";
 import path from "path";
-import { fileURLToPath } from "url";
+import fs from "fs/promises";
+import os from "os";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Worker } from "worker_threads";
 
 import {
   hasDb,
   dbInit,
   dbQuery,
+  dbTx,
+  dbConnect,
   getSetting,
   setSetting,
+  listSettingVersions,
+  getSettingVersion,
+  getSettingCurrentVersion,
   getRunnerState,
   setRunnerState,
   getWeights,
   setWeight,
+  ensureWeights,
 } from "./db.js";
 
 dotenv.config();
@@ -52,6 +62,23 @@ const RUNNER_ENABLED =
 const RUNNER_INTERVAL_SEC = Number(process.env.RUNNER_INTERVAL_SEC || 5);
 const RUNNER_TRADE_TOP = Number(process.env.RUNNER_TRADE_TOP || 3);
 
+// Replicas elect one runner leader through a Postgres advisory lock
+const INSTANCE_ID = process.env.INSTANCE_ID || process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+const LEADER_LOCK_KEY = process.env.LEADER_LOCK_KEY || "bot-war-runner";
+const LEADER_HEARTBEAT_SEC = Number(process.env.LEADER_HEARTBEAT_SEC || 5);
+
+const SYMBOL_NEWS_TTL_SEC = Number(process.env.SYMBOL_NEWS_TTL_SEC || 900);
+const SYMBOL_NEWS_LOOKBACK_DAYS = Number(process.env.SYMBOL_NEWS_LOOKBACK_DAYS || 3);
+const SYMBOL_NEWS_HALF_LIFE_HOURS = Number(process.env.SYMBOL_NEWS_HALF_LIFE_HOURS || 12);
+
+const QUOTE_BATCH_SIZE = Number(process.env.QUOTE_BATCH_SIZE || 8);
+const QUOTE_CONCURRENCY = Number(process.env.QUOTE_CONCURRENCY || 4);
+const FINNHUB_PER_MIN = Number(process.env.FINNHUB_PER_MIN || 60);
+
+const PRICE_BAR_INTERVAL = process.env.PRICE_BAR_INTERVAL || "1day";
+const PRICE_BAR_LOOKBACK = Number(process.env.PRICE_BAR_LOOKBACK || 120);
+const PRICE_BAR_TTL_SEC = Number(process.env.PRICE_BAR_TTL_SEC || 3600);
+
 // -----------------------------
 // ✅ Safe fetch with timeout (prevents Railway 502 crash)
 // -----------------------------
@@ -75,72 +102,618 @@ async function safeJson(res) {
   }
 }
 
+// Run fn over items with at most `limit` calls in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+function chunk(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
 // -----------------------------
-// Market gate
+// Market gate + calendar: holidays, early closes, pre/regular/after sessions
 // -----------------------------
-function getNowInTZ(tz) {
-  const parts = new Intl.DateTimeFormat("en-US", {
+// calendars/<calendar>-<year>.json, loaded at boot (MARKET_CALENDAR for US equities, other
+// venues name their own). Years without a file fall back to plain Mon–Fri sessions.
+// With MARKET_EXTENDED_HOURS=true pre-market and after-hours count as open.
+const MARKET_CALENDAR = process.env.MARKET_CALENDAR || "nyse";
+const MARKET_CALENDAR_DIR = process.env.MARKET_CALENDAR_DIR || path.join(__dirname, "calendars");
+const MARKET_EXTENDED_HOURS = String(process.env.MARKET_EXTENDED_HOURS || "false").toLowerCase() === "true";
+const DEFAULT_SESSIONS = { pre: ["04:00", "09:30"], regular: ["09:30", "16:00"], after: ["16:00", "20:00"] };
+
+// calendar -> year -> { sessions, holidays: Map(date -> name), earlyCloses: Map(date -> { close, name }) }
+const calendars = new Map();
+
+async function loadMarketCalendar() {
+  calendars.clear();
+  let names = [];
+  try {
+    names = await fs.readdir(MARKET_CALENDAR_DIR);
+  } catch {}
+  for (const name of names.sort()) {
+    const m = name.match(/^([a-z0-9_]+)-(\d{4})\.json$/);
+    if (!m) continue;
+    try {
+      const j = JSON.parse(await fs.readFile(path.join(MARKET_CALENDAR_DIR, name), "utf8"));
+      if (!calendars.has(m[1])) calendars.set(m[1], new Map());
+      calendars.get(m[1]).set(Number(m[2]), {
+        sessions: j.sessions || null,
+        holidays: new Map((j.holidays || []).map((h) => [h.date, h.name || "Holiday"])),
+        earlyCloses: new Map((j.earlyCloses || []).map((e) => [e.date, { close: e.close || "13:00", name: e.name || "Early close" }])),
+      });
+    } catch (e) {
+      console.log(`[calendar] failed ${name}: ${e.message}`);
+    }
+  }
+  return [...calendars].map(([name, years]) => `${name} ${[...years.keys()].join("/")}`);
+}
+
+const hhmmToMins = (t) => {
+  const [h, m] = String(t).split(":").map(Number);
+  return h * 60 + m;
+};
+const minsToHhmm = (x) => `${String(Math.floor(x / 60)).padStart(2, "0")}:${String(x % 60).padStart(2, "0")}`;
+
+// Wall-clock date + minutes-since-midnight in `tz` for an instant
+function marketClock(d = new Date(), tz = MARKET_TZ) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
     timeZone: tz,
     hour12: false,
-    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
     hour: "2-digit",
     minute: "2-digit",
-  }).formatToParts(new Date());
+  }).formatToParts(d);
   const get = (type) => parts.find((p) => p.type === type)?.value;
-  return { weekday: get("weekday"), hour: Number(get("hour")), minute: Number(get("minute")) };
+  return { date: `${get("year")}-${get("month")}-${get("day")}`, mins: (Number(get("hour")) % 24) * 60 + Number(get("minute")) };
+}
+
+// Wall-clock (date "YYYY-MM-DD", minutes) in `tz` -> instant; two passes settle DST edges
+function marketTimeToDate(date, mins, tz = MARKET_TZ) {
+  const [y, m, d] = date.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, mins);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const c = marketClock(new Date(t), tz);
+    const [cy, cm, cd] = c.date.split("-").map(Number);
+    t += wall - Date.UTC(cy, cm - 1, cd, 0, c.mins);
+  }
+  return new Date(t);
+}
+
+function addDays(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// Sessions for one local date at a venue (minutes in the venue's timezone), or trading:false with the reason
+function getTradingDay(date, venue = usVenue()) {
+  const cal = calendars.get(venue.calendar)?.get(Number(date.slice(0, 4)));
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const base = { date, calendarLoaded: !!cal };
+  if (weekday === 0 || weekday === 6) return { ...base, trading: false, reason: "Weekend" };
+  if (!cal && venue.requireCalendar) return { ...base, trading: false, reason: `No ${venue.calendar} calendar for ${date.slice(0, 4)}` };
+  if (cal?.holidays.has(date)) return { ...base, trading: false, reason: `Holiday: ${cal.holidays.get(date)}`, holiday: cal.holidays.get(date) };
+
+  const raw = cal?.sessions || venue.sessions || DEFAULT_SESSIONS;
+  const sessions = Object.fromEntries(Object.entries(raw).map(([k, [a, b]]) => [k, [hhmmToMins(a), hhmmToMins(b)]]));
+  const early = cal?.earlyCloses.get(date) || null;
+  if (early) {
+    const close = hhmmToMins(early.close);
+    const cut = sessions.regular[1] - close;
+    sessions.regular[1] = close;
+    if (sessions.after) sessions.after = [close, Math.max(close, sessions.after[1] - cut)];
+  }
+  return { ...base, trading: true, sessions, earlyClose: early ? { close: early.close, name: early.name } : null };
+}
+
+function dayBounds(day, venue = usVenue(), session = "regular") {
+  const [a, b] = day.sessions[session];
+  return { open: marketTimeToDate(day.date, a, venue.timezone), close: marketTimeToDate(day.date, b, venue.timezone) };
+}
+
+// Next regular-session open/close strictly after `now` (looks ahead up to three weeks)
+function nextSessionTimes(now = new Date(), venue = usVenue()) {
+  if (venue.alwaysOpen) return { nextOpen: null, nextClose: null };
+  const today = marketClock(now, venue.timezone).date;
+  let nextOpen = null;
+  let nextClose = null;
+  for (let i = 0; i < 21 && (!nextOpen || !nextClose); i++) {
+    const day = getTradingDay(addDays(today, i), venue);
+    if (!day.trading) continue;
+    const { open, close } = dayBounds(day, venue);
+    if (!nextOpen && open > now) nextOpen = open;
+    if (!nextClose && close > now) nextClose = close;
+  }
+  return { nextOpen: nextOpen?.toISOString() || null, nextClose: nextClose?.toISOString() || null };
+}
+
+// Market gate for a venue (US equities by default). `open` means the runner may trade: the
+// regular session, plus pre/after when MARKET_EXTENDED_HOURS is on. `session` is the precise state.
+function isMarketOpen(now = new Date(), venue = usVenue()) {
+  if (venue.alwaysOpen) {
+    return { open: true, session: "regular", reason: "Open 24/7", venue: venue.id, date: marketClock(now, venue.timezone).date, nextOpen: null, nextClose: null };
+  }
+  const { date, mins } = marketClock(now, venue.timezone);
+  const day = getTradingDay(date, venue);
+  const out = { venue: venue.id, date, calendarLoaded: day.calendarLoaded, ...nextSessionTimes(now, venue) };
+  if (!day.trading) return { open: false, session: "closed", reason: day.reason, holiday: day.holiday || null, ...out };
+
+  const inSession = (k) => day.sessions[k] && mins >= day.sessions[k][0] && mins < day.sessions[k][1];
+  const earlyClose = day.earlyClose;
+  if (inSession("regular")) {
+    return { open: true, session: "regular", reason: earlyClose ? `Open (early close ${earlyClose.close})` : "Open", earlyClose, ...out };
+  }
+  if (inSession("pre")) return { open: MARKET_EXTENDED_HOURS, session: "pre", reason: "Pre-market", earlyClose, ...out };
+  if (inSession("after")) return { open: MARKET_EXTENDED_HOURS, session: "after", reason: "After-hours", earlyClose, ...out };
+
+  const reason = mins < day.sessions.regular[0] ? "Pre-market" : earlyClose ? `Closed early (${earlyClose.name})` : "After-hours";
+  return { open: false, session: "closed", reason, earlyClose, ...out };
+}
+
+function getMarketCalendar(year, venue = usVenue()) {
+  const cal = calendars.get(venue.calendar)?.get(year);
+  return {
+    venue: venue.id,
+    calendar: venue.calendar || null,
+    timezone: venue.timezone,
+    year,
+    loaded: !!cal,
+    loadedYears: [...(calendars.get(venue.calendar)?.keys() || [])],
+    alwaysOpen: !!venue.alwaysOpen,
+    extendedHours: MARKET_EXTENDED_HOURS,
+    sessions: cal?.sessions || venue.sessions || DEFAULT_SESSIONS,
+    holidays: cal ? [...cal.holidays].map(([date, name]) => ({ date, name })) : [],
+    earlyCloses: cal ? [...cal.earlyCloses].map(([date, e]) => ({ date, ...e })) : [],
+  };
+}
+
+function upcomingTradingDays(n = 10, now = new Date(), venue = usVenue()) {
+  if (venue.alwaysOpen) return [];
+  const out = [];
+  const today = marketClock(now, venue.timezone).date;
+  for (let i = 0; out.length < n && i < n * 3 + 14; i++) {
+    const day = getTradingDay(addDays(today, i), venue);
+    if (!day.trading) continue;
+    const { open, close } = dayBounds(day, venue);
+    out.push({
+      date: day.date,
+      open: open.toISOString(),
+      close: close.toISOString(),
+      regular: day.sessions.regular.map(minsToHhmm),
+      earlyClose: day.earlyClose,
+    });
+  }
+  return out;
+}
+
+// -----------------------------
+// Venues: per-symbol timezone, sessions, currency and provider symbols
+// -----------------------------
+// Symbols resolve to a venue by explicit mapping (setting "venues".symbols), then by pattern
+// (BTC-USD -> crypto, VOD.L -> lse, SAP.DE -> xetra), else US equities. Provider templates
+// use {symbol}, {base} and {quote}; providerQuotes renames the quote per provider. Crypto is
+// priced in its quote currency (BTC-EUR in EUR, USDT counted as USD). Venues with
+// requireCalendar stay closed for any year without a calendar file.
+const DEFAULT_VENUES = {
+  us: {
+    name: "US equities",
+    timezone: MARKET_TZ,
+    calendar: MARKET_CALENDAR,
+    currency: "USD",
+    providers: { finnhub: "{symbol}", twelvedata: "{symbol}" },
+  },
+  crypto: {
+    name: "Crypto (24/7)",
+    timezone: "UTC",
+    alwaysOpen: true,
+    currency: "USD",
+    currencyFromQuote: true,
+    providers: { finnhub: "BINANCE:{base}{quote}", twelvedata: "{base}/{quote}" },
+    providerQuotes: { finnhub: { USD: "USDT" } },
+  },
+  lse: {
+    name: "London Stock Exchange",
+    timezone: "Europe/London",
+    calendar: "lse",
+    requireCalendar: true,
+    currency: "GBX",
+    sessions: { regular: ["08:00", "16:30"] },
+    providers: { finnhub: "{base}.L", twelvedata: "{base}:LSE" },
+  },
+  xetra: {
+    name: "Xetra",
+    timezone: "Europe/Berlin",
+    calendar: "xetra",
+    requireCalendar: true,
+    currency: "EUR",
+    sessions: { regular: ["09:00", "17:30"] },
+    providers: { finnhub: "{base}.DE", twelvedata: "{base}:XETR" },
+  },
+};
+
+const VENUE_PATTERNS = [
+  [/^([A-Z0-9]{2,10})-(USD|USDT|EUR|GBP)$/, "crypto"],
+  [/^([A-Z0-9.]{1,10})\.L$/, "lse"],
+  [/^([A-Z0-9]{1,10})\.DE$/, "xetra"],
+];
+
+// In-memory copy of the "venues" setting so market gating stays synchronous
+let venueSettings = { symbols: {}, venues: {} };
+
+async function loadVenueSettings() {
+  if (!hasDb) return venueSettings;
+  const s = await getSetting("venues");
+  venueSettings = { symbols: s?.symbols || {}, venues: s?.venues || {} };
+  return venueSettings;
+}
+
+function getVenue(id) {
+  const v = { ...(DEFAULT_VENUES[id] || {}), ...(venueSettings.venues[id] || {}) };
+  return v.timezone ? { id, ...v } : null;
+}
+
+function usVenue() {
+  return getVenue("us");
+}
+
+function listVenues() {
+  return [...new Set([...Object.keys(DEFAULT_VENUES), ...Object.keys(venueSettings.venues)])].map(getVenue).filter(Boolean);
+}
+
+function resolveVenue(symbol) {
+  const s = String(symbol).toUpperCase().trim();
+  for (const [re, id] of VENUE_PATTERNS) {
+    const m = s.match(re);
+    if (!m || (venueSettings.symbols[s] || id) !== id) continue;
+    const v = getVenue(id);
+    const quote = m[2] || null;
+    const currency = v.currencyFromQuote && quote ? (quote === "USDT" ? "USD" : quote) : v.currency;
+    return { ...v, symbol: s, base: m[1], quote, currency };
+  }
+  const id = venueSettings.symbols[s];
+  const v = (id && getVenue(id)) || usVenue();
+  return { ...v, symbol: s, base: s, quote: null };
+}
+
+function providerSymbol(symbol, provider) {
+  const v = resolveVenue(symbol);
+  const tpl = v.providers?.[provider] || "{symbol}";
+  const quote = v.providerQuotes?.[provider]?.[v.quote] || v.quote || "";
+  return tpl.replace("{symbol}", v.symbol).replace("{base}", v.base).replace("{quote}", quote);
+}
+
+function marketForSymbol(symbol, now = new Date()) {
+  const v = resolveVenue(symbol);
+  return { ...isMarketOpen(now, v), currency: v.currency };
+}
+
+// -----------------------------
+// FX: convert instrument prices into a bot account's currency
+// -----------------------------
+// Live rates from TwelveData when configured, otherwise the "fx_rates" setting
+// ({ CCY: USD per unit }) merged over these rough defaults. GBX (pence) is GBP / 100.
+const DEFAULT_FX_USD = { USD: 1, EUR: 1.08, GBP: 1.27, CHF: 1.12, CAD: 0.73, JPY: 0.0067, HKD: 0.128, AUD: 0.66 };
+const FX_TTL_SEC = Number(process.env.FX_TTL_SEC || 3600);
+const fxCache = new Map(); // "FROM/TO" -> { ts, rate }
+
+async function getFxRate(from, to) {
+  from = String(from || "USD").toUpperCase();
+  to = String(to || "USD").toUpperCase();
+  if (from === to) return 1;
+  if (from === "GBX" || to === "GBX") {
+    const r = await getFxRate(from === "GBX" ? "GBP" : from, to === "GBX" ? "GBP" : to);
+    return r ? (r * (to === "GBX" ? 100 : 1)) / (from === "GBX" ? 100 : 1) : null;
+  }
+
+  const key = `${from}/${to}`;
+  const hit = fxCache.get(key);
+  if (hit && Date.now() - hit.ts < FX_TTL_SEC * 1000) return hit.rate;
+
+  let rate = null;
+  if (TWELVEDATA_KEY) {
+    try {
+      const r = await fetchWithTimeout(
+        `https://api.twelvedata.com/exchange_rate?symbol=${encodeURIComponent(key)}&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
+        {},
+        15000
+      );
+      const parsed = await safeJson(r);
+      if (parsed.ok && Number(parsed.json?.rate) > 0) rate = Number(parsed.json.rate);
+    } catch {}
+  }
+  if (!rate) {
+    const usd = { ...DEFAULT_FX_USD, ...((hasDb && (await getSetting("fx_rates"))) || {}) };
+    if (usd[from] > 0 && usd[to] > 0) rate = usd[from] / usd[to];
+  }
+  if (rate) fxCache.set(key, { ts: Date.now(), rate });
+  return rate;
 }
 
-function isMarketOpen() {
-  const { weekday, hour, minute } = getNowInTZ(MARKET_TZ);
-  const isWeekday = ["Mon", "Tue", "Wed", "Thu", "Fri"].includes(weekday);
-  if (!isWeekday) return { open: false, reason: "Weekend" };
+async function getAccountCurrency(bot) {
+  if (!hasDb) return "USD";
+  const r = await dbQuery(`SELECT currency FROM bot_accounts WHERE bot=$1`, [bot]);
+  return r.rows[0]?.currency || "USD";
+}
 
-  const mins = hour * 60 + minute;
-  const openMins = 9 * 60 + 30;
-  const closeMins = 16 * 60;
+// Instrument-currency price -> the bot's account currency
+async function toAccountPrice(bot, symbol, price) {
+  const rate = await getFxRate(resolveVenue(symbol).currency, await getAccountCurrency(bot));
+  return rate ? Number(price) * rate : null;
+}
 
-  if (mins < openMins) return { open: false, reason: "Pre-market" };
-  if (mins >= closeMins) return { open: false, reason: "After-hours" };
-  return { open: true, reason: "Open" };
+// Quotes for position rows ({ bot, symbol }) keyed "bot:symbol": the instrument-currency quote
+// (null if it failed), the FX rate into the bot's currency and the converted price
+async function quotePositions(rows) {
+  const quotes = await getStockPrices(rows.map((p) => p.symbol));
+  const local = new Map(quotes.filter((q) => !q.error).map((q) => [q.symbol, Number(q.price)]));
+  const ccy = new Map();
+  if (hasDb && rows.length) {
+    const r = await dbQuery(`SELECT bot, currency FROM bot_accounts WHERE bot = ANY($1)`, [[...new Set(rows.map((p) => p.bot))]]);
+    for (const a of r.rows) ccy.set(a.bot, a.currency);
+  }
+  const out = new Map();
+  for (const p of rows) {
+    const rate = await getFxRate(resolveVenue(p.symbol).currency, ccy.get(p.bot) || "USD");
+    const px = local.get(p.symbol) ?? null;
+    out.set(`${p.bot}:${p.symbol}`, { local: px, rate, account: px !== null && rate ? px * rate : null });
+  }
+  return out;
 }
 
 // -----------------------------
-// Minimal universe
+// Universe: custom list, or "auto" ranked from index constituents, movers and news
 // -----------------------------
 const DEFAULT_UNIVERSE = ["AAPL","MSFT","NVDA","TSLA","AMZN","GOOGL","META","KO","XOM","LLY","AVGO","COST","UNH","WMT"];
+const UNIVERSE_INDEX_FILE = process.env.UNIVERSE_INDEX_FILE || path.join(__dirname, "universe", "sp500.json");
+
+// setting "universe".auto is merged over this
+const DEFAULT_AUTO_UNIVERSE = {
+  max: 30,
+  refreshSec: 900,
+  indexTop: 15, // largest index weights always considered
+  moversTop: 10,
+  scanMax: 50, // constituents quoted to find movers when the provider has no movers feed
+  newsTop: 10,
+  newsArticles: 30,
+  minPrice: 5,
+  maxPrice: 0, // 0 = no ceiling
+  minDollarVolume: 20000000, // avg daily close * volume; index members pass when it is unknown
+  sources: { index: true, movers: true, news: true },
+};
+
+let indexConstituents = null;
+let autoUniverse = null; // last build: { ts, builtAt, items, excluded, sources }
+let autoUniverseBuild = null;
+
+async function loadIndexConstituents() {
+  if (indexConstituents) return indexConstituents;
+  try {
+    const j = JSON.parse(await fs.readFile(UNIVERSE_INDEX_FILE, "utf8"));
+    const symbols = (j.symbols || []).map((x) => String(x).toUpperCase().trim()).filter(Boolean);
+    indexConstituents = { index: j.index || path.basename(UNIVERSE_INDEX_FILE), asOf: j.asOf || null, weightOrdered: Number(j.weightOrdered || 0), symbols };
+  } catch (e) {
+    console.log(`[universe] failed ${UNIVERSE_INDEX_FILE}: ${e.message}`);
+    indexConstituents = { index: null, asOf: null, weightOrdered: 0, symbols: [] };
+  }
+  return indexConstituents;
+}
+
+function autoUniverseConfig(u) {
+  const a = u?.auto || {};
+  return { ...DEFAULT_AUTO_UNIVERSE, ...a, sources: { ...DEFAULT_AUTO_UNIVERSE.sources, ...(a.sources || {}) } };
+}
+
+async function getUniverseSetting() {
+  return (hasDb ? await getSetting("universe") : null) || { mode: "auto", custom: [] };
+}
 
 async function getUniverseList() {
-  const u = (hasDb ? await getSetting("universe") : null) || { mode: "auto", custom: [] };
+  const u = await getUniverseSetting();
   if (u.mode === "custom" && Array.isArray(u.custom) && u.custom.length) {
     return u.custom.map(s => String(s).toUpperCase().trim()).filter(Boolean);
   }
-  return DEFAULT_UNIVERSE;
+  const built = await getAutoUniverse(u);
+  return built.items.length ? built.items.map((x) => x.symbol) : DEFAULT_UNIVERSE;
 }
 
-async function nextSymbol() {
-  const list = await getUniverseList();
-  const state = await getRunnerState();
-  const idx = Number(state.idx || 0);
+// Serves the last build while a refresh runs; only the very first call waits for one
+async function getAutoUniverse(u, { force = false } = {}) {
+  const cfg = autoUniverseConfig(u);
+  const fresh = autoUniverse && Date.now() - autoUniverse.ts < cfg.refreshSec * 1000;
+  if (fresh && !force) return autoUniverse;
+  if (!autoUniverseBuild) {
+    autoUniverseBuild = buildAutoUniverse(cfg)
+      .then(async (built) => {
+        autoUniverse = built;
+        await emitEvent("universe_built", { size: built.items.length, symbols: built.items.map((x) => x.symbol) });
+        return built;
+      })
+      // A failed refresh keeps the previous build; with none yet, callers fall back to DEFAULT_UNIVERSE
+      .catch((e) => {
+        console.log(`[universe] build failed: ${e.message || e}`);
+        return autoUniverse || { ts: 0, builtAt: null, items: [], excluded: [], sources: {} };
+      })
+      .finally(() => {
+        autoUniverseBuild = null;
+      });
+  }
+  if (autoUniverse && !force) return autoUniverse;
+  return autoUniverseBuild;
+}
+
+// TwelveData's movers feed when the plan has it, else the biggest |change| among the largest constituents
+async function fetchMovers(cfg, constituents) {
+  if (TWELVEDATA_KEY) {
+    const out = [];
+    for (const direction of ["gainers", "losers"]) {
+      try {
+        const r = await fetchWithTimeout(
+          `https://api.twelvedata.com/market_movers/stocks?country=United%20States&direction=${direction}` +
+            `&outputsize=${cfg.moversTop}&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
+          {},
+          15000
+        );
+        const parsed = await safeJson(r);
+        for (const m of (parsed.ok && Array.isArray(parsed.json?.values) && parsed.json.values) || []) {
+          out.push({ symbol: String(m.symbol).toUpperCase(), price: Number(m.last), changePercent: Number(m.percent_change), volume: Number(m.volume) });
+        }
+      } catch {}
+    }
+    if (out.length) return { provider: "twelvedata", items: out };
+  }
+
+  const quotes = await getStockPrices(constituents.slice(0, cfg.scanMax));
+  const items = quotes
+    .filter((q) => !q.error && Number(q.changePercent))
+    .map((q) => ({ symbol: q.symbol, price: Number(q.price), changePercent: Number(q.changePercent), volume: null }));
+  return { provider: "scan", items };
+}
+
+// Avg daily close * volume over the last 20 stored daily bars
+async function barDollarVolumes(symbols) {
+  if (!hasDb || !symbols.length) return new Map();
+  const r = await dbQuery(
+    `
+    SELECT symbol, AVG(close * volume) AS dv FROM (
+      SELECT symbol, close, volume, ROW_NUMBER() OVER (PARTITION BY symbol ORDER BY ts DESC) AS rn
+      FROM price_bars WHERE symbol = ANY($1) AND interval = '1day' AND volume IS NOT NULL
+    ) x WHERE rn <= 20 GROUP BY symbol
+  `,
+    [symbols]
+  );
+  return new Map(r.rows.map((x) => [x.symbol, Number(x.dv)]));
+}
+
+async function buildAutoUniverse(cfg) {
+  const idx = await loadIndexConstituents();
+  const members = new Set(idx.symbols);
+  const cands = new Map();
+  const add = (symbol, score, reason, extra = {}) => {
+    const c = cands.get(symbol) || { symbol, score: 0, sources: [], reasons: [], price: null, changePercent: null, volume: null };
+    c.score += score;
+    c.reasons.push(reason);
+    for (const [k, v] of Object.entries(extra)) if (Number.isFinite(v)) c[k] = v;
+    cands.set(symbol, c);
+    return c;
+  };
+  const sources = {};
+
+  if (cfg.sources.index) {
+    const top = idx.symbols.slice(0, Math.min(cfg.indexTop, idx.weightOrdered || cfg.indexTop));
+    top.forEach((sym, i) => add(sym, 1 - (0.5 * i) / top.length, `${idx.index} #${i + 1} by weight`).sources.push("index"));
+    sources.index = { file: path.relative(__dirname, UNIVERSE_INDEX_FILE), asOf: idx.asOf, constituents: idx.symbols.length, used: top.length };
+  }
+
+  if (cfg.sources.movers) {
+    const movers = await fetchMovers(cfg, idx.symbols);
+    const top = movers.items.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent)).slice(0, cfg.moversTop);
+    for (const m of top) {
+      const sign = m.changePercent > 0 ? "+" : "";
+      add(m.symbol, 0.5 + Math.min(2, Math.abs(m.changePercent) / 5), `mover ${sign}${m.changePercent.toFixed(2)}%`, m).sources.push("movers");
+    }
+    sources.movers = { provider: movers.provider, found: movers.items.length, used: top.length };
+  }
+
+  if (cfg.sources.news) {
+    const news = await getGeneralNews(cfg.newsArticles);
+    const rules = await getImpactRules();
+    const known = new Set([...idx.symbols, ...rules.flatMap((r) => r.tickers)]);
+    const mentions = new Map();
+    for (const a of news.items) {
+      for (const t of analyzeNewsImpact(a, rules, known).tickers) mentions.set(t, (mentions.get(t) || 0) + 1);
+    }
+    const top = [...mentions.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, cfg.newsTop);
+    for (const [sym, n] of top) add(sym, 0.5 + Math.min(2, n * 0.5), `${n} news mention${n === 1 ? "" : "s"}`).sources.push("news");
+    sources.news = { provider: news.provider, articles: news.items.length, used: top.length };
+  }
+
+  // Filters: every candidate needs a quote; liquidity comes from the movers feed or stored bars
+  const list = [...cands.values()];
+  const missing = list.filter((c) => !(c.price > 0)).map((c) => c.symbol);
+  for (const q of await getStockPrices(missing)) {
+    const c = cands.get(q.symbol);
+    if (c && !q.error) Object.assign(c, { price: Number(q.price), changePercent: Number(q.changePercent) });
+  }
+  const barDv = await barDollarVolumes(list.map((c) => c.symbol));
+
+  const items = [];
+  const excluded = [];
+  for (const c of list) {
+    c.dollarVolume = c.volume > 0 && c.price > 0 ? c.volume * c.price : barDv.get(c.symbol) ?? null;
+    let reason = null;
+    if (!(c.price > 0)) reason = "no quote";
+    else if (c.price < cfg.minPrice) reason = `price ${c.price} < ${cfg.minPrice}`;
+    else if (cfg.maxPrice > 0 && c.price > cfg.maxPrice) reason = `price ${c.price} > ${cfg.maxPrice}`;
+    else if (c.dollarVolume !== null && c.dollarVolume < cfg.minDollarVolume) reason = `dollar volume ${Math.round(c.dollarVolume)} < ${cfg.minDollarVolume}`;
+    else if (c.dollarVolume === null && !members.has(c.symbol)) reason = "no volume data (not an index member)";
+    if (reason) excluded.push({ symbol: c.symbol, reason, reasons: c.reasons });
+    else items.push(c);
+  }
 
-  const symbol = list[idx % list.length] || list[0];
-  const next = list[(idx + 1) % list.length] || list[0];
+  items.sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol));
+  for (const c of items.slice(cfg.max)) excluded.push({ symbol: c.symbol, reason: `over cap of ${cfg.max}`, reasons: c.reasons });
 
-  const newState = { idx: idx + 1, lastTick: new Date().toISOString(), lastSymbol: symbol };
-  await setRunnerState(newState);
+  return {
+    ts: Date.now(),
+    builtAt: new Date().toISOString(),
+    config: cfg,
+    sources,
+    items: items.slice(0, cfg.max).map(({ volume, ...c }) => ({ ...c, score: Number(c.score.toFixed(3)) })),
+    excluded,
+  };
+}
 
-  return { symbol, nextSymbol: next, state: newState };
+// What the runner is cycling through and why each symbol is in it
+async function describeUniverse() {
+  const u = await getUniverseSetting();
+  if (u.mode === "custom" && Array.isArray(u.custom) && u.custom.length) {
+    const items = (await getUniverseList()).map((symbol) => ({ symbol, reasons: ["custom list"] }));
+    return { mode: "custom", size: items.length, items };
+  }
+  const built = await getAutoUniverse(u);
+  if (!built.items.length) {
+    return { mode: "auto", fallback: true, builtAt: built.builtAt, size: DEFAULT_UNIVERSE.length, items: DEFAULT_UNIVERSE.map((symbol) => ({ symbol, reasons: ["default list (auto build found nothing)"] })), excluded: built.excluded };
+  }
+  return { mode: "auto", builtAt: built.builtAt, size: built.items.length, sources: built.sources, items: built.items, excluded: built.excluded };
 }
 
 // -----------------------------
 // Prices: Finnhub -> TwelveData -> Mock
 // -----------------------------
+// Finnhub calls (quotes, news, candles) share a per-minute budget; once it is spent callers
+// fall through to the next provider instead of drawing 429s
+const finnhubCalls = [];
+
+function finnhubBudget() {
+  const now = Date.now();
+  while (finnhubCalls.length && now - finnhubCalls[0] >= 60000) finnhubCalls.shift();
+  if (finnhubCalls.length >= FINNHUB_PER_MIN) return false;
+  finnhubCalls.push(now);
+  return true;
+}
+
 async function getStockPrice(symbol) {
   const s = String(symbol).toUpperCase().trim();
 
-  if (FINNHUB_KEY) {
+  if (FINNHUB_KEY && finnhubBudget()) {
     try {
       const r = await fetchWithTimeout(
-        `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(s)}&token=${encodeURIComponent(FINNHUB_KEY)}`,
+        `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(providerSymbol(s, "finnhub"))}&token=${encodeURIComponent(FINNHUB_KEY)}`,
         {},
         15000
       );
@@ -159,7 +732,7 @@ async function getStockPrice(symbol) {
   if (TWELVEDATA_KEY) {
     try {
       const r = await fetchWithTimeout(
-        `https://api.twelvedata.com/price?symbol=${encodeURIComponent(s)}&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
+        `https://api.twelvedata.com/price?symbol=${encodeURIComponent(providerSymbol(s, "twelvedata"))}&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
         {},
         15000
       );
@@ -179,6 +752,68 @@ async function getStockPrice(symbol) {
   return { provider: "mock", symbol: s, price: Number(price.toFixed(2)), changePercent: 0 };
 }
 
+// TwelveData /quote accepts comma-separated symbols (one credit per symbol, one request)
+async function getTwelveDataQuotes(symbols) {
+  const mapped = symbols.map((s) => providerSymbol(s, "twelvedata"));
+  const r = await fetchWithTimeout(
+    `https://api.twelvedata.com/quote?symbol=${encodeURIComponent(mapped.join(","))}&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
+    {},
+    15000
+  );
+  const parsed = await safeJson(r);
+  if (!parsed.ok || !parsed.json) throw new Error(`twelvedata quote failed (${r.status})`);
+
+  // Single-symbol requests return the quote itself instead of a map
+  const bySymbol = symbols.length === 1 ? { [mapped[0]]: parsed.json } : parsed.json;
+
+  const out = new Map();
+  for (const [i, s] of symbols.entries()) {
+    const q = bySymbol[mapped[i]];
+    if (!q) continue;
+    if (q.status === "error") {
+      out.set(s, { provider: "twelvedata", symbol: s, price: null, changePercent: null, error: q.message || "Quote error" });
+      continue;
+    }
+    const price = Number(q.close);
+    if (!Number.isFinite(price)) continue;
+    out.set(s, { provider: "twelvedata", symbol: s, price, changePercent: Number(q.percent_change ?? 0) });
+  }
+  return out;
+}
+
+// Batched, concurrency-limited quotes. Never throws: failures come back inline as { error }.
+async function getStockPrices(symbols, { batchSize = QUOTE_BATCH_SIZE, concurrency = QUOTE_CONCURRENCY } = {}) {
+  const list = [...new Set(symbols.map((s) => String(s).toUpperCase().trim()).filter(Boolean))];
+  const quotes = new Map();
+
+  // Finnhub has no multi-symbol quote, so lists go through TwelveData batches whenever it is
+  // configured; only what those miss is fetched one by one
+  if (TWELVEDATA_KEY) {
+    await mapLimit(chunk(list, Math.max(1, batchSize)), concurrency, async (group) => {
+      try {
+        const got = await getTwelveDataQuotes(group);
+        for (const [s, q] of got) quotes.set(s, q);
+      } catch {}
+    });
+  }
+
+  const rest = list.filter((s) => !quotes.has(s));
+  await mapLimit(rest, concurrency, async (s) => {
+    try {
+      const q = await getStockPrice(s);
+      if (!(Number(q.price) > 0)) {
+        quotes.set(s, { ...q, price: null, changePercent: null, error: "No quote for symbol" });
+      } else {
+        quotes.set(s, q);
+      }
+    } catch (e) {
+      quotes.set(s, { provider: "error", symbol: s, price: null, changePercent: null, error: e.message || String(e) });
+    }
+  });
+
+  return list.map((s) => quotes.get(s));
+}
+
 // -----------------------------
 // News: NewsData.io (primary) -> NewsAPI (backup) -> Mock
 // -----------------------------
@@ -255,281 +890,2547 @@ async function getGeneralNews(limit = 8) {
 }
 
 // -----------------------------
-// Bots
+// News impact routing (headline -> affected tickers)
 // -----------------------------
-const BOTS = [
-  { bot: "sp500_long", label: "S&P500 Long", horizon: "long" },
-  { bot: "market_swing", label: "Market Swing", horizon: "medium" },
-  { bot: "day_trade", label: "Day Trade", horizon: "short" },
-  { bot: "news_only", label: "News-Only", horizon: "short" },
+// kind: company (named issuer), sector (industry keyword), macro (market-wide driver)
+const DEFAULT_IMPACT_RULES = [
+  { id: "apple", kind: "company", match: ["apple", "iphone", "tim cook"], tickers: ["AAPL"] },
+  { id: "microsoft", kind: "company", match: ["microsoft", "azure", "satya nadella"], tickers: ["MSFT"] },
+  { id: "nvidia", kind: "company", match: ["nvidia", "jensen huang"], tickers: ["NVDA"] },
+  { id: "tesla", kind: "company", match: ["tesla", "elon musk"], tickers: ["TSLA"] },
+  { id: "amazon", kind: "company", match: ["amazon", "aws"], tickers: ["AMZN"] },
+  { id: "alphabet", kind: "company", match: ["alphabet", "google", "youtube"], tickers: ["GOOGL"] },
+  { id: "meta", kind: "company", match: ["meta platforms", "facebook", "instagram", "whatsapp", "zuckerberg"], tickers: ["META"] },
+  { id: "coca_cola", kind: "company", match: ["coca-cola", "coca cola", "coke"], tickers: ["KO"] },
+  { id: "exxon", kind: "company", match: ["exxon", "exxonmobil"], tickers: ["XOM"] },
+  { id: "eli_lilly", kind: "company", match: ["eli lilly", "lilly", "mounjaro", "zepbound"], tickers: ["LLY"] },
+  { id: "broadcom", kind: "company", match: ["broadcom"], tickers: ["AVGO"] },
+  { id: "costco", kind: "company", match: ["costco"], tickers: ["COST"] },
+  { id: "unitedhealth", kind: "company", match: ["unitedhealth", "united health", "optum"], tickers: ["UNH"] },
+  { id: "walmart", kind: "company", match: ["walmart"], tickers: ["WMT"] },
+
+  { id: "oil", kind: "sector", match: ["oil", "crude", "opec", "brent", "gasoline"], tickers: ["XOM"], horizon: "short" },
+  { id: "chips", kind: "sector", match: ["chip", "chips", "semiconductor", "semiconductors", "gpu", "foundry"], tickers: ["NVDA", "AVGO"] },
+  { id: "ai", kind: "sector", match: ["artificial intelligence", "ai", "data center", "data centers"], tickers: ["NVDA", "MSFT", "GOOGL"] },
+  { id: "ev", kind: "sector", match: ["electric vehicle", "electric vehicles", "ev", "evs"], tickers: ["TSLA"] },
+  { id: "retail", kind: "sector", match: ["retail sales", "retailer", "retailers", "consumer spending", "holiday shopping"], tickers: ["WMT", "COST", "AMZN"] },
+  { id: "pharma", kind: "sector", match: ["fda", "drugmaker", "pharma", "obesity drug", "glp-1", "weight-loss drug"], tickers: ["LLY"], horizon: "medium" },
+  { id: "health_insurance", kind: "sector", match: ["health insurer", "health insurers", "medicare", "medicaid"], tickers: ["UNH"], horizon: "medium" },
+  { id: "beverages", kind: "sector", match: ["soda", "beverage", "beverages"], tickers: ["KO"], horizon: "long" },
+  { id: "ads", kind: "sector", match: ["digital advertising", "ad spending", "social media"], tickers: ["META", "GOOGL"] },
+  { id: "cloud", kind: "sector", match: ["cloud computing", "cloud"], tickers: ["AMZN", "MSFT", "GOOGL"] },
+
+  { id: "rates", kind: "macro", match: ["federal reserve", "fed", "interest rate", "interest rates", "rate cut", "rate hike", "powell"], tickers: ["AAPL", "MSFT", "NVDA", "AMZN"], horizon: "medium" },
+  { id: "inflation", kind: "macro", match: ["inflation", "cpi", "consumer prices"], tickers: ["WMT", "COST", "KO"], horizon: "medium" },
+  { id: "tariffs", kind: "macro", match: ["tariff", "tariffs", "trade war", "export controls"], tickers: ["AAPL", "NVDA", "TSLA"], horizon: "medium" },
+  { id: "jobs", kind: "macro", match: ["jobs report", "payrolls", "unemployment"], tickers: ["WMT", "AMZN"], horizon: "medium" },
+  { id: "recession", kind: "macro", match: ["recession", "gdp"], tickers: ["WMT", "KO", "COST"], horizon: "long" },
 ];
 
-async function ensureBotAccounts() {
-  if (!hasDb) return;
-  for (const b of BOTS) {
-    await dbQuery(
-      `
-      INSERT INTO bot_accounts(bot, cash, goal)
-      VALUES ($1, 100000, 150000)
-      ON CONFLICT (bot) DO NOTHING
-    `,
-      [b.bot]
-    );
-  }
+const IMPACT_KIND_WEIGHT = { ticker: 1.0, company: 1.0, sector: 0.6, macro: 0.4 };
+const IMPACT_KIND_HORIZON = { ticker: "short", company: "short", sector: "medium", macro: "medium" };
+
+function cleanImpactRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .map((r, i) => ({
+      id: String(r?.id || `rule_${i + 1}`).trim(),
+      kind: ["company", "sector", "macro"].includes(r?.kind) ? r.kind : "sector",
+      match: (Array.isArray(r?.match) ? r.match : []).map((m) => String(m || "").toLowerCase().trim()).filter(Boolean),
+      tickers: (Array.isArray(r?.tickers) ? r.tickers : []).map((t) => String(t || "").toUpperCase().trim()).filter(Boolean),
+      ...(["short", "medium", "long"].includes(r?.horizon) ? { horizon: r.horizon } : {}),
+      ...(Number.isFinite(Number(r?.weight)) && r?.weight !== undefined ? { weight: Number(r.weight) } : {}),
+    }))
+    .filter((r) => r.match.length && r.tickers.length);
 }
 
-// -----------------------------
-// Learning model
-// -----------------------------
-function sigmoid(z) {
-  const x = Math.max(-10, Math.min(10, z));
-  return 1 / (1 + Math.exp(-x));
+async function getImpactRules() {
+  const s = hasDb ? await getSetting("news_impact") : null;
+  if (s?.mode === "custom" && Array.isArray(s.rules)) return cleanImpactRules(s.rules);
+  return DEFAULT_IMPACT_RULES;
 }
 
-function modelScore(weights, features) {
-  const bias = Number(weights.bias || 0);
-  const wS = Number(weights.avgSent || 0);
-  const wC = Number(weights.changePercent || 0);
-  const s = Number(features.avgSent || 0);
-  const c = Number(features.changePercent || 0);
-  const z = bias + wS * s + wC * (c / 2.0);
-  return { z, p: sigmoid(z) };
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-async function applyLearningAdjust(strategy, base, features) {
-  if (!hasDb) return { ...base, learnedP: null };
-  const w = await getWeights(strategy);
-  const { p } = modelScore(w, features);
+function phraseHit(text, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}($|[^a-z0-9])`).test(text);
+}
 
-  const delta = Math.round((p - 0.5) * 30);
-  const confidence = Math.max(1, Math.min(99, base.confidence + delta));
+// Pure: score one article against the rule table. knownTickers gates bare uppercase symbols.
+function analyzeNewsImpact(article, rules, knownTickers = new Set()) {
+  const raw = `${article.title || ""}. ${article.summary || ""}`;
+  const text = raw.toLowerCase();
 
-  let signal = base.signal;
-  if (base.signal === "BUY" && p < 0.35) signal = "HOLD";
-  if (base.signal === "SELL" && p > 0.65) signal = "HOLD";
+  const scores = new Map();
+  const ruleHits = [];
+  const reasons = [];
+  let bestHorizon = null;
+  let bestWeight = 0;
 
-  return { ...base, signal, confidence, learnedP: p };
-}
+  const credit = (ticker, w) => scores.set(ticker, (scores.get(ticker) || 0) + w);
+  const noteHorizon = (h, w) => {
+    if (w > bestWeight) {
+      bestWeight = w;
+      bestHorizon = h;
+    }
+  };
 
-async function setWeightSafe(strategy, feature, weight) {
-  try {
-    await setWeight(strategy, feature, weight);
-  } catch {}
-}
+  // Explicit tickers: $TSLA anywhere, or a bare known symbol in the original casing
+  const explicit = new Set();
+  for (const m of raw.matchAll(/\$([A-Z]{1,5})\b/g)) explicit.add(m[1]);
+  for (const m of raw.matchAll(/\b([A-Z]{2,5})\b/g)) if (knownTickers.has(m[1])) explicit.add(m[1]);
+  for (const t of explicit) {
+    credit(t, IMPACT_KIND_WEIGHT.ticker);
+    noteHorizon(IMPACT_KIND_HORIZON.ticker, IMPACT_KIND_WEIGHT.ticker);
+    ruleHits.push(`ticker:${t}`);
+    reasons.push(`mentions ${t}`);
+  }
 
-async function updateModelFromOutcome(strategy, features, correctBool) {
-  if (!hasDb) return;
-  const y = correctBool ? 1 : 0;
-  const w = await getWeights(strategy);
-  const { p } = modelScore(w, features);
+  for (const rule of rules) {
+    const hits = rule.match.filter((m) => phraseHit(text, m));
+    if (!hits.length) continue;
+    const w = rule.weight ?? IMPACT_KIND_WEIGHT[rule.kind] ?? 0.5;
+    for (const t of rule.tickers) credit(t, w);
+    noteHorizon(rule.horizon || IMPACT_KIND_HORIZON[rule.kind] || "medium", w);
+    ruleHits.push(`${rule.kind}:${rule.id}`);
+    reasons.push(`${rule.kind} "${hits[0]}" → ${rule.tickers.join(", ")}`);
+  }
 
-  const lr = 0.05;
-  const grad = (y - p);
+  const tickers = [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([t]) => t);
 
-  const nb = Number(w.bias) + lr * grad * 1;
-  const ns = Number(w.avgSent) + lr * grad * Number(features.avgSent || 0);
-  const nc = Number(w.changePercent) + lr * grad * (Number(features.changePercent || 0) / 2.0);
+  const topWeight = Math.max(0, ...scores.values());
+  const confidence = tickers.length ? Math.min(95, Math.round(30 + topWeight * 35)) : 0;
 
-  await setWeightSafe(strategy, "bias", nb);
-  await setWeightSafe(strategy, "avgSent", ns);
-  await setWeightSafe(strategy, "changePercent", nc);
+  return {
+    tickers,
+    horizon: bestHorizon,
+    why: reasons.length ? reasons.join("; ") : "No company, sector or macro rule matched.",
+    ruleHits,
+    confidence,
+    sentiment: Number(sentimentScore(text).toFixed(3)),
+  };
 }
 
-async function logLearningSample({ bot, strategy, symbol, signal, horizon, priceAtSignal, features, rationale, confidence, evalAfterSec }) {
-  if (!hasDb) return;
-  await dbQuery(
-    `
-    INSERT INTO learning_samples(bot, strategy, symbol, signal, horizon, price_at_signal, features, rationale, confidence, eval_after_sec)
-    VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8,$9,$10)
-  `,
-    [
-      bot,
-      strategy,
-      symbol,
-      signal,
-      horizon,
-      priceAtSignal,
-      JSON.stringify(features || {}),
-      rationale || "",
-      confidence || 50,
-      evalAfterSec,
-    ]
-  );
+async function attachNewsImpact(items) {
+  const rules = await getImpactRules();
+  const known = new Set([...(await getUniverseList()), ...rules.flatMap((r) => r.tickers)]);
+  return items.map((a) => ({ ...a, impact: analyzeNewsImpact(a, rules, known) }));
 }
 
-async function evaluateDueLearning() {
-  if (!hasDb) return { evaluated: 0 };
-
-  const due = await dbQuery(
-    `
-    SELECT id, symbol, signal, price_at_signal, eval_after_sec, strategy, features
-    FROM learning_samples
-    WHERE evaluated_at IS NULL
-      AND created_at + (eval_after_sec || ' seconds')::interval <= NOW()
-    ORDER BY created_at ASC
-    LIMIT 50
-  `
-  );
+// -----------------------------
+// Per-symbol news sentiment: Finnhub company-news -> NewsData q= -> NewsAPI everything
+// -----------------------------
+const symbolNewsCache = new Map(); // symbol -> { ts, promise }, oldest first
+const SYMBOL_NEWS_CACHE_MAX = 1000;
 
-  let evaluated = 0;
+function ymd(d) {
+  return d.toISOString().slice(0, 10);
+}
 
-  for (const row of due.rows) {
-    const symbol = row.symbol;
-    const priceNow = await getStockPrice(symbol);
-    const priceAfter = Number(priceNow.price);
-    const priceAt = Number(row.price_at_signal);
-    const outcomePct = ((priceAfter - priceAt) / priceAt) * 100;
+// Company names from the impact rule table make provider keyword searches far less noisy
+async function symbolSearchTerms(symbol) {
+  const rules = await getImpactRules();
+  const names = rules
+    .filter((r) => r.kind === "company" && r.tickers.includes(symbol))
+    .flatMap((r) => r.match.slice(0, 1));
+  return [symbol, ...names];
+}
 
-    let correct = false;
-    if (row.signal === "BUY") correct = outcomePct > 0;
-    if (row.signal === "SELL") correct = outcomePct < 0;
-    if (row.signal === "HOLD") correct = Math.abs(outcomePct) < 1.0;
+async function fetchSymbolNews(symbol, limit) {
+  if (FINNHUB_KEY && finnhubBudget()) {
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - SYMBOL_NEWS_LOOKBACK_DAYS * 86400000);
+      const r = await fetchWithTimeout(
+        `https://finnhub.io/api/v1/company-news?symbol=${encodeURIComponent(symbol)}` +
+          `&from=${ymd(from)}&to=${ymd(to)}&token=${encodeURIComponent(FINNHUB_KEY)}`,
+        {},
+        15000
+      );
+      const parsed = await safeJson(r);
+      if (parsed.ok && Array.isArray(parsed.json)) {
+        const items = parsed.json.slice(0, limit).map((a) => ({
+          title: a.headline || "",
+          summary: a.summary || "",
+          publishedAt: a.datetime ? new Date(a.datetime * 1000).toISOString() : "",
+        }));
+        return { provider: "finnhub", items };
+      }
+    } catch {}
+  }
 
-    await dbQuery(
-      `
-      UPDATE learning_samples
-      SET evaluated_at=NOW(), price_after=$2, outcome_pct=$3, correct=$4
-      WHERE id=$1
-    `,
-      [row.id, priceAfter, outcomePct, correct]
-    );
+  const terms = await symbolSearchTerms(symbol);
 
-    await updateModelFromOutcome(row.strategy, row.features || {}, correct);
+  if (NEWSDATA_KEY) {
+    try {
+      const q = terms.map((t) => `"${t}"`).join(" OR ");
+      const r = await fetchWithTimeout(
+        `https://newsdata.io/api/1/news?apikey=${encodeURIComponent(NEWSDATA_KEY)}` +
+          `&q=${encodeURIComponent(q)}&language=en&size=${Math.min(limit, 10)}`,
+        {},
+        15000
+      );
+      const parsed = await safeJson(r);
+      if (parsed.ok && Array.isArray(parsed.json?.results)) {
+        const items = parsed.json.results.slice(0, limit).map((a) => ({
+          title: a.title || "",
+          summary: a.description || "",
+          publishedAt: a.pubDate ? new Date(`${a.pubDate.replace(" ", "T")}Z`).toISOString() : "",
+        }));
+        return { provider: "newsdata", items };
+      }
+    } catch {}
+  }
+
+  if (NEWSAPI_KEY) {
+    try {
+      const q = terms.map((t) => `"${t}"`).join(" OR ");
+      const r = await fetchWithTimeout(
+        `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&language=en&sortBy=publishedAt&pageSize=${limit}`,
+        { headers: { "X-Api-Key": NEWSAPI_KEY } },
+        15000
+      );
+      const parsed = await safeJson(r);
+      if (parsed.ok && Array.isArray(parsed.json?.articles)) {
+        const items = parsed.json.articles.slice(0, limit).map((a) => ({
+          title: a.title || "",
+          summary: a.description || "",
+          publishedAt: a.publishedAt || "",
+        }));
+        return { provider: "newsapi", items };
+      }
+    } catch {}
+  }
+
+  return { provider: "none", items: [] };
+}
+
+// Recency-weighted mean: an article loses half its weight every SYMBOL_NEWS_HALF_LIFE_HOURS
+function scoreSymbolNews(items, now = Date.now()) {
+  let wSum = 0;
+  let sSum = 0;
+  for (const a of items) {
+    const t = new Date(a.publishedAt).getTime();
+    const ageHours = Number.isFinite(t) ? Math.max(0, (now - t) / 3600000) : SYMBOL_NEWS_LOOKBACK_DAYS * 24;
+    const w = Math.pow(0.5, ageHours / SYMBOL_NEWS_HALF_LIFE_HOURS);
+    wSum += w;
+    sSum += w * sentimentScore(`${a.title} ${a.summary}`);
+  }
+  return wSum > 0 ? sSum / wSum : 0;
+}
+
+async function getSymbolSentiment(symbol, limit = 20) {
+  const s = String(symbol).toUpperCase().trim();
+  const hit = symbolNewsCache.get(s);
+  if (hit && Date.now() - hit.ts < SYMBOL_NEWS_TTL_SEC * 1000) {
+    return { ...(await hit.promise), cached: true };
+  }
+
+  // Cache the promise so concurrent fights on the same symbol share one provider call
+  const promise = fetchSymbolNews(s, limit).then((news) => ({
+    provider: news.provider,
+    avgSent: Number(scoreSymbolNews(news.items).toFixed(3)),
+    newsCount: news.items.length,
+    fetchedAt: new Date().toISOString(),
+  }));
+  // Re-inserted so the Map stays in fetch order: expired entries are swept from the front,
+  // then the oldest go until it is under the cap
+  symbolNewsCache.delete(s);
+  for (const [k, v] of symbolNewsCache) {
+    if (Date.now() - v.ts < SYMBOL_NEWS_TTL_SEC * 1000 && symbolNewsCache.size < SYMBOL_NEWS_CACHE_MAX) break;
+    symbolNewsCache.delete(k);
+  }
+  symbolNewsCache.set(s, { ts: Date.now(), promise });
+  try {
+    return { ...(await promise), cached: false };
+  } catch (e) {
+    symbolNewsCache.delete(s);
+    throw e;
+  }
+}
+
+// -----------------------------
+// Price bars: Finnhub candles -> TwelveData time_series, topped up from quote samples
+// -----------------------------
+const BAR_INTERVALS = { "1min": 60, "5min": 300, "15min": 900, "1h": 3600, "1day": 86400 };
+const FINNHUB_RESOLUTION = { "1min": "1", "5min": "5", "15min": "15", "1h": "60", "1day": "D" };
+const barFetchCache = new Map(); // `${symbol}:${interval}` -> { ts, promise }
+
+// Daily bars are keyed by trading date (midnight UTC), intraday bars by bucket start
+function barBucket(date, interval) {
+  if (interval === "1day") return new Date(`${marketDate(date)}T00:00:00Z`);
+  const sec = BAR_INTERVALS[interval] || 86400;
+  return new Date(Math.floor(date.getTime() / 1000 / sec) * sec * 1000);
+}
+
+async function fetchCandles(symbol, interval, count) {
+  const sec = BAR_INTERVALS[interval];
+  if (!sec) return null;
+
+  if (FINNHUB_KEY && finnhubBudget()) {
+    try {
+      const to = Math.floor(Date.now() / 1000);
+      // Weekends/holidays/overnight gaps: ask for a wider calendar window than count bars
+      const from = to - Math.ceil(count * sec * (interval === "1day" ? 1.6 : 4)) - 4 * 86400;
+      const r = await fetchWithTimeout(
+        `https://finnhub.io/api/v1/stock/candle?symbol=${encodeURIComponent(providerSymbol(symbol, "finnhub"))}&resolution=${FINNHUB_RESOLUTION[interval]}&from=${from}&to=${to}&token=${encodeURIComponent(FINNHUB_KEY)}`,
+        {},
+        15000
+      );
+      const parsed = await safeJson(r);
+      const j = parsed.json;
+      if (parsed.ok && j?.s === "ok" && Array.isArray(j.t)) {
+        return {
+          provider: "finnhub",
+          bars: j.t.map((t, i) => ({
+            // Finnhub stamps daily candles at 00:00 UTC of the trading date
+            ts: interval === "1day" ? new Date(`${new Date(t * 1000).toISOString().slice(0, 10)}T00:00:00Z`) : new Date(t * 1000),
+            open: Number(j.o[i]),
+            high: Number(j.h[i]),
+            low: Number(j.l[i]),
+            close: Number(j.c[i]),
+            volume: j.v ? Number(j.v[i]) : null,
+          })),
+        };
+      }
+    } catch {}
+  }
+
+  if (TWELVEDATA_KEY) {
+    try {
+      const r = await fetchWithTimeout(
+        `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(providerSymbol(symbol, "twelvedata"))}&interval=${interval}&outputsize=${count}&timezone=UTC&apikey=${encodeURIComponent(TWELVEDATA_KEY)}`,
+        {},
+        15000
+      );
+      const parsed = await safeJson(r);
+      if (parsed.ok && Array.isArray(parsed.json?.values)) {
+        return {
+          provider: "twelvedata",
+          bars: parsed.json.values
+            .map((v) => ({
+              ts: interval === "1day" ? new Date(`${v.datetime.slice(0, 10)}T00:00:00Z`) : new Date(`${v.datetime.replace(" ", "T")}Z`),
+              open: Number(v.open),
+              high: Number(v.high),
+              low: Number(v.low),
+              close: Number(v.close),
+              volume: v.volume === undefined ? null : Number(v.volume),
+            }))
+            .reverse(),
+        };
+      }
+    } catch {}
+  }
+
+  return null;
+}
+
+async function storeBars(symbol, interval, bars, source) {
+  const ok = bars.filter((b) => [b.open, b.high, b.low, b.close].every(Number.isFinite) && !Number.isNaN(b.ts.getTime()));
+  if (!hasDb || !ok.length) return 0;
+  await dbQuery(
+    `
+    INSERT INTO price_bars(symbol, interval, ts, open, high, low, close, volume, source)
+    SELECT $1, $2, t.ts, t.o, t.h, t.l, t.c, t.v, $9
+    FROM unnest($3::timestamptz[], $4::numeric[], $5::numeric[], $6::numeric[], $7::numeric[], $8::numeric[]) AS t(ts, o, h, l, c, v)
+    ON CONFLICT (symbol, interval, ts) DO UPDATE
+    SET open=EXCLUDED.open, high=EXCLUDED.high, low=EXCLUDED.low, close=EXCLUDED.close,
+        volume=EXCLUDED.volume, source=EXCLUDED.source, updated_at=NOW()
+  `,
+    [
+      symbol,
+      interval,
+      ok.map((b) => b.ts.toISOString()),
+      ok.map((b) => b.open),
+      ok.map((b) => b.high),
+      ok.map((b) => b.low),
+      ok.map((b) => b.close),
+      ok.map((b) => (Number.isFinite(b.volume) ? b.volume : null)),
+      source,
+    ]
+  );
+  return ok.length;
+}
+
+// Every quote we take extends the current bar, so history builds up even without candle access
+async function recordQuoteBar(quote, interval = PRICE_BAR_INTERVAL) {
+  const price = Number(quote?.price);
+  if (!hasDb || !(price > 0) || quote.error) return;
+  await dbQuery(
+    `
+    INSERT INTO price_bars(symbol, interval, ts, open, high, low, close, volume, source)
+    VALUES ($1,$2,$3,$4,$4,$4,$4,NULL,'quotes')
+    ON CONFLICT (symbol, interval, ts) DO UPDATE
+    SET high=GREATEST(price_bars.high, EXCLUDED.close), low=LEAST(price_bars.low, EXCLUDED.close),
+        close=EXCLUDED.close, updated_at=NOW()
+  `,
+    [quote.symbol, interval, barBucket(new Date(), interval).toISOString(), price]
+  );
+}
+
+// Oldest-first bars; provider candles are refreshed at most every PRICE_BAR_TTL_SEC
+async function getBars(symbol, { interval = PRICE_BAR_INTERVAL, limit = PRICE_BAR_LOOKBACK } = {}) {
+  const s = String(symbol).toUpperCase().trim();
+  const key = `${s}:${interval}`;
+  const hit = barFetchCache.get(key);
+  if (!hit || Date.now() - hit.ts > PRICE_BAR_TTL_SEC * 1000) {
+    const promise = fetchCandles(s, interval, limit)
+      .then(async (got) => {
+        if (got?.bars?.length) await storeBars(s, interval, got.bars, got.provider);
+        return got?.bars || [];
+      })
+      .catch(() => []);
+    barFetchCache.set(key, { ts: Date.now(), promise });
+  }
+  const fetched = await barFetchCache.get(key).promise;
+  if (!hasDb) return fetched.slice(-limit);
+
+  const r = await dbQuery(
+    `
+    SELECT ts, open, high, low, close, volume, source FROM price_bars
+    WHERE symbol=$1 AND interval=$2
+    ORDER BY ts DESC
+    LIMIT $3
+  `,
+    [s, interval, limit]
+  );
+  return r.rows.reverse().map((b) => ({
+    ts: b.ts,
+    open: Number(b.open),
+    high: Number(b.high),
+    low: Number(b.low),
+    close: Number(b.close),
+    volume: b.volume === null ? null : Number(b.volume),
+    source: b.source,
+  }));
+}
+
+// -----------------------------
+// Feature registry
+// -----------------------------
+// compute({ bars, quote, news }) returns a number, or null when there is not enough history.
+// norm(x) maps the raw value to roughly [-1, 1] for the learning model.
+const FEATURES = new Map();
+
+function registerFeature(name, { compute, norm = (x) => x, lookback = 0, description = "" }) {
+  FEATURES.set(name, { name, compute, norm, lookback, description });
+}
+
+function sma(values, n) {
+  if (values.length < n) return null;
+  return values.slice(-n).reduce((a, b) => a + b, 0) / n;
+}
+
+function ema(values, n) {
+  if (values.length < n) return null;
+  const k = 2 / (n + 1);
+  let e = values.slice(0, n).reduce((a, b) => a + b, 0) / n;
+  for (const v of values.slice(n)) e = v * k + e * (1 - k);
+  return e;
+}
+
+// Wilder's RSI
+function rsi(values, n) {
+  if (values.length < n + 1) return null;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= n; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d;
+    else loss -= d;
+  }
+  gain /= n;
+  loss /= n;
+  for (let i = n + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (n - 1) + Math.max(d, 0)) / n;
+    loss = (loss * (n - 1) + Math.max(-d, 0)) / n;
+  }
+  if (loss === 0) return gain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gain / loss);
+}
+
+function atr(bars, n) {
+  if (bars.length < n + 1) return null;
+  const tr = [];
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1].close;
+    tr.push(Math.max(bars[i].high - bars[i].low, Math.abs(bars[i].high - prev), Math.abs(bars[i].low - prev)));
+  }
+  return sma(tr, n);
+}
+
+const closesOf = (bars) => bars.map((b) => b.close);
+
+function returnPct(bars, n) {
+  const c = closesOf(bars);
+  if (c.length < n + 1 || !(c[c.length - 1 - n] > 0)) return null;
+  return (c[c.length - 1] / c[c.length - 1 - n] - 1) * 100;
+}
+
+function crossPct(fast, slow) {
+  return fast === null || slow === null || !(slow > 0) ? null : ((fast - slow) / slow) * 100;
+}
+
+registerFeature("avgSent", { compute: ({ news }) => Number(news?.avgSent ?? 0), description: "Decayed per-symbol news sentiment (-1..1)" });
+registerFeature("changePercent", { compute: ({ quote }) => Number(quote?.changePercent ?? 0), norm: (x) => x / 2, description: "Quote % change vs previous close" });
+for (const n of [1, 5, 20]) {
+  registerFeature(`ret_${n}`, {
+    compute: ({ bars }) => returnPct(bars, n),
+    norm: (x) => x / (2 * Math.sqrt(n)),
+    lookback: n + 1,
+    description: `% return over ${n} bars`,
+  });
+}
+registerFeature("sma_cross_10_30", {
+  compute: ({ bars }) => crossPct(sma(closesOf(bars), 10), sma(closesOf(bars), 30)),
+  norm: (x) => x / 5,
+  lookback: 30,
+  description: "SMA10 vs SMA30, % apart (>0 = uptrend)",
+});
+registerFeature("ema_cross_12_26", {
+  compute: ({ bars }) => crossPct(ema(closesOf(bars), 12), ema(closesOf(bars), 26)),
+  norm: (x) => x / 3,
+  lookback: 26,
+  description: "EMA12 vs EMA26, % apart (MACD as % of price)",
+});
+registerFeature("rsi_14", {
+  compute: ({ bars }) => rsi(closesOf(bars), 14),
+  norm: (x) => (x - 50) / 50,
+  lookback: 15,
+  description: "14-bar RSI (0..100)",
+});
+registerFeature("atr_14_pct", {
+  compute: ({ bars }) => {
+    const a = atr(bars, 14);
+    const last = bars[bars.length - 1]?.close;
+    return a === null || !(last > 0) ? null : (a / last) * 100;
+  },
+  norm: (x) => x / 5,
+  lookback: 15,
+  description: "14-bar ATR as % of price (volatility)",
+});
+registerFeature("vol_z_20", {
+  compute: ({ bars }) => {
+    const v = bars.slice(-21).map((b) => b.volume);
+    if (v.length < 21 || !v.every(Number.isFinite)) return null;
+    const hist = v.slice(-21, -1);
+    const mean = hist.reduce((a, b) => a + b, 0) / hist.length;
+    const sd = Math.sqrt(hist.reduce((a, b) => a + (b - mean) ** 2, 0) / hist.length);
+    return sd > 0 ? (v[v.length - 1] - mean) / sd : 0;
+  },
+  norm: (x) => x / 3,
+  lookback: 21,
+  description: "Latest bar volume z-score vs previous 20",
+});
+
+function computeFeatures(ctx) {
+  const out = {};
+  for (const f of FEATURES.values()) {
+    let x = null;
+    try {
+      x = f.compute(ctx);
+    } catch {}
+    out[f.name] = Number.isFinite(x) ? Number(x.toFixed(4)) : null;
+  }
+  return out;
+}
+
+// -----------------------------
+// Strategies (plugins) + bots
+// -----------------------------
+// strategies/*.js are built-ins, imported in-process.
+// strategies/contrib/*.js are third-party: each runs in its own worker (strategy-sandbox.js)
+// with an empty env, a heap cap and a per-call timeout. A plugin that throws, hangs or
+// crashes answers HOLD and its worker is restarted on the next call. That is fault
+// isolation, not a security boundary: plugins keep fs/network access, so only trusted code.
+const STRATEGIES_DIR = path.join(__dirname, "strategies");
+const CONTRIB_DIR = process.env.STRATEGY_PLUGIN_DIR || path.join(STRATEGIES_DIR, "contrib");
+const STRATEGY_TIMEOUT_MS = Number(process.env.STRATEGY_TIMEOUT_MS || 500);
+
+const STRATEGIES = new Map(); // id -> { id, label, horizon, features, source, decide }
+let BOTS = []; // bot instances: { bot, strategy, label, horizon, params }
+
+function validateStrategy(p) {
+  const errors = [];
+  if (!p || typeof p !== "object") return ["plugin must export an object"];
+  if (!/^[a-z0-9_]+$/.test(String(p.id || ""))) errors.push("id must match [a-z0-9_]+");
+  if (!p.label) errors.push("label is required");
+  if (!["short", "medium", "long"].includes(p.horizon)) errors.push("horizon must be short, medium or long");
+  if (!Array.isArray(p.features) || p.features.some((f) => typeof f !== "string")) errors.push("features must be an array of strings");
+  const unknown = Array.isArray(p.features) ? p.features.filter((f) => !FEATURES.has(f)) : [];
+  if (unknown.length) errors.push(`unknown feature(s): ${unknown.join(", ")}`);
+  if (!(typeof p.decide === "function" || p.hasDecide)) errors.push("decide(features, context) is required");
+  return errors;
+}
+
+function normalizeDecision(out) {
+  const signal = ["BUY", "SELL", "HOLD"].includes(out?.signal) ? out.signal : "HOLD";
+  const confidence = Math.max(1, Math.min(99, Math.round(Number(out?.confidence) || 50)));
+  return { signal, confidence, why: String(out?.why || "No rationale given").slice(0, 300) };
+}
+
+function startSandbox(file) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, "strategy-sandbox.js"), {
+      workerData: { file },
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: 64 },
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error("load timeout"));
+    }, 5000);
+    worker.once("message", (msg) => {
+      clearTimeout(timer);
+      if (msg.type === "meta") return resolve({ worker, meta: msg.meta });
+      worker.terminate();
+      reject(new Error(msg.error || "load failed"));
+    });
+    worker.once("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+async function createSandboxedStrategy(file) {
+  const first = await startSandbox(file);
+  const state = { worker: null, pending: new Map(), seq: 0 };
+
+  const failAll = (why) => {
+    for (const p of state.pending.values()) p.resolve({ signal: "HOLD", confidence: 50, why });
+    state.pending.clear();
+  };
+
+  const attach = (worker) => {
+    state.worker = worker;
+    worker.on("message", (msg) => {
+      if (msg.type !== "decision") return;
+      const p = state.pending.get(msg.id);
+      if (!p) return;
+      state.pending.delete(msg.id);
+      p.resolve(msg.error ? { signal: "HOLD", confidence: 50, why: `Plugin error: ${msg.error}` } : msg.out);
+    });
+    worker.on("error", (e) => failAll(`Plugin crashed: ${e.message || e}`));
+    worker.on("exit", () => {
+      if (state.worker === worker) state.worker = null;
+      failAll("Plugin worker exited");
+    });
+  };
+  attach(first.worker);
+
+  async function decide(features, context) {
+    if (!state.worker) attach((await startSandbox(file)).worker);
+    const worker = state.worker;
+    const id = ++state.seq;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        state.pending.delete(id);
+        resolve({ signal: "HOLD", confidence: 50, why: `Plugin timed out after ${STRATEGY_TIMEOUT_MS}ms` });
+        // A stuck event loop can only be stopped from outside; respawn on next call
+        state.worker = null;
+        worker.terminate();
+      }, STRATEGY_TIMEOUT_MS);
+      state.pending.set(id, {
+        resolve: (out) => {
+          clearTimeout(timer);
+          resolve(out);
+        },
+      });
+      worker.postMessage({ id, features, context });
+    });
+  }
+
+  return { ...first.meta, source: "contrib", file, decide };
+}
+
+async function listPluginFiles(dir) {
+  try {
+    const names = await fs.readdir(dir);
+    return names.filter((n) => n.endsWith(".js")).sort().map((n) => path.join(dir, n));
+  } catch {
+    return [];
+  }
+}
+
+async function loadStrategies() {
+  STRATEGIES.clear();
+  const register = (p, file) => {
+    const errors = validateStrategy(p);
+    if (errors.length) return console.log(`[strategies] skipped ${file}: ${errors.join("; ")}`);
+    if (STRATEGIES.has(p.id)) return console.log(`[strategies] skipped ${file}: duplicate id ${p.id}`);
+    STRATEGIES.set(p.id, p);
+  };
+
+  for (const file of await listPluginFiles(STRATEGIES_DIR)) {
+    try {
+      const mod = await import(pathToFileURL(file).href);
+      const p = mod.default || mod;
+      register({ id: p.id, label: p.label, horizon: p.horizon, features: p.features, decide: p.decide, source: "builtin", file }, file);
+    } catch (e) {
+      console.log(`[strategies] failed ${file}: ${e.message}`);
+    }
+  }
+
+  for (const file of await listPluginFiles(CONTRIB_DIR)) {
+    try {
+      register(await createSandboxedStrategy(file), file);
+    } catch (e) {
+      console.log(`[strategies] failed ${file}: ${e.message}`);
+    }
+  }
+
+  BOTS = [...STRATEGIES.values()].map((s) => ({ bot: s.id, strategy: s.id, label: s.label, horizon: s.horizon, params: {} }));
+  return [...STRATEGIES.keys()];
+}
+
+async function decideStrategy(b, features, context) {
+  const s = STRATEGIES.get(b.strategy);
+  if (!s) return { signal: "HOLD", confidence: 50, why: `Unknown strategy ${b.strategy}` };
+  try {
+    const out = await s.decide(features, { ...context, horizon: b.horizon, params: b.params || {} });
+    return normalizeDecision(out);
+  } catch (e) {
+    return { signal: "HOLD", confidence: 50, why: `Strategy error: ${e.message || e}` };
+  }
+}
+
+// Accounts + model weights for every loaded bot (idempotent).
+// Each strategy gets a default bot of the same id; extra bots created through
+// /api/bots live only in bot_accounts and are added back to BOTS here.
+async function ensureBotAccounts() {
+  if (!hasDb) return;
+  for (const b of BOTS) {
+    await dbQuery(
+      `
+      INSERT INTO bot_accounts(bot, cash, goal, strategy, label)
+      VALUES ($1, 100000, 150000, $2, $3)
+      ON CONFLICT (bot) DO UPDATE SET strategy=COALESCE(bot_accounts.strategy, EXCLUDED.strategy)
+    `,
+      [b.bot, b.strategy, b.label]
+    );
+  }
+
+  const r = await dbQuery(`SELECT bot, strategy, label, params FROM bot_accounts WHERE strategy IS NOT NULL ORDER BY created_at ASC, bot ASC`);
+  const next = [];
+  for (const row of r.rows) {
+    const s = STRATEGIES.get(row.strategy);
+    if (!s) {
+      console.log(`[bots] ${row.bot}: strategy ${row.strategy} not loaded, bot skipped`);
+      continue;
+    }
+    next.push({ bot: row.bot, strategy: s.id, label: row.label || s.label, horizon: s.horizon, params: row.params || {} });
+    await ensureWeights(row.bot, ["bias", ...s.features]);
+  }
+  BOTS = next;
+}
+
+// -----------------------------
+// Learning model
+// -----------------------------
+function sigmoid(z) {
+  const x = Math.max(-10, Math.min(10, z));
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Registry-normalized, clipped model input; missing / not-yet-computable features contribute 0
+function modelInput(name, features) {
+  const raw = features?.[name];
+  if (raw === null || raw === undefined || !Number.isFinite(Number(raw))) return 0;
+  const def = FEATURES.get(name);
+  const x = def ? def.norm(Number(raw)) : Number(raw);
+  return Math.max(-3, Math.min(3, x));
+}
+
+// Logistic model over whatever weights the strategy has (bias + its declared features)
+function modelScore(weights, features) {
+  let z = Number(weights.bias || 0);
+  for (const [name, w] of Object.entries(weights)) {
+    if (name !== "bias") z += Number(w || 0) * modelInput(name, features);
+  }
+  return { z, p: sigmoid(z) };
+}
+
+async function applyLearningAdjust(strategy, base, features) {
+  if (!hasDb) return { ...base, learnedP: null, shadowP: null };
+  const w = await getWeights(strategy);
+  const { p } = modelScore(w, features);
+
+  // Shadow model only scores (for comparison); it never changes the decision
+  const shadow = await getShadow(strategy);
+  const shadowP = shadow ? modelScore(await getWeights(strategy, "shadow"), features).p : null;
+
+  const delta = Math.round((p - 0.5) * 30);
+  const confidence = Math.max(1, Math.min(99, base.confidence + delta));
+
+  let signal = base.signal;
+  if (base.signal === "BUY" && p < 0.35) signal = "HOLD";
+  if (base.signal === "SELL" && p > 0.65) signal = "HOLD";
+
+  return { ...base, signal, confidence, learnedP: p, shadowP };
+}
+
+async function setWeightSafe(strategy, feature, weight, opts) {
+  try {
+    await setWeight(strategy, feature, weight, opts);
+  } catch {}
+}
+
+async function sgdStep(strategy, variant, lr, features, y, sampleId) {
+  const w = await getWeights(strategy, variant);
+  const { p } = modelScore(w, features);
+  const grad = (y - p);
+
+  for (const [name, wv] of Object.entries(w)) {
+    const x = name === "bias" ? 1 : modelInput(name, features);
+    if (x === 0) continue;
+    await setWeightSafe(strategy, name, Number(wv) + lr * grad * x, { variant, reason: "learn", sampleId });
+  }
+}
+
+async function updateModelFromOutcome(strategy, features, correctBool, sampleId = null) {
+  if (!hasDb) return;
+  const y = correctBool ? 1 : 0;
+  await sgdStep(strategy, "live", 0.05, features, y, sampleId);
+
+  const shadow = await getShadow(strategy);
+  if (shadow) await sgdStep(strategy, "shadow", Number(shadow.lr), features, y, sampleId);
+}
+
+// Eval windows (seconds) per horizon, optionally per strategy. The first window is the
+// primary one: it fills learning_samples.correct and is the only one the model learns from.
+// The others are stored as extra checkpoints for reporting.
+const DEFAULT_EVAL_WINDOWS = {
+  short: [3600, 86400],
+  medium: [86400, 432000],
+  long: [432000, 1728000],
+};
+
+async function getEvalConfig() {
+  const speed = (await getSetting("learning_speed")) || { mode: "realtime" };
+  const s = (await getSetting("learning_eval")) || {};
+  return {
+    accelerated: speed.mode === "accelerated",
+    horizons: { ...DEFAULT_EVAL_WINDOWS, ...(s.horizons || {}) },
+    strategies: s.strategies || {},
+  };
+}
+
+function evalWindowsFor(cfg, strategy, horizon) {
+  // Accelerated mode keeps the old single 60s window for quick demos
+  if (cfg.accelerated) return [60];
+  return cfg.strategies[strategy] || cfg.horizons[horizon] || DEFAULT_EVAL_WINDOWS.medium;
+}
+
+async function logLearningSample({ bot, strategy, symbol, signal, horizon, priceAtSignal, features, rationale, confidence, evalWindows, learnedP = null, shadowP = null }) {
+  if (!hasDb) return;
+  const [primary, ...extra] = evalWindows;
+  const r = await dbQuery(
+    `
+    INSERT INTO learning_samples(bot, strategy, symbol, signal, horizon, price_at_signal, features, rationale, confidence, eval_after_sec, learned_p, shadow_p)
+    VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8,$9,$10,$11,$12)
+    RETURNING id, created_at
+  `,
+    [
+      bot,
+      strategy,
+      symbol,
+      signal,
+      horizon,
+      priceAtSignal,
+      JSON.stringify(features || {}),
+      rationale || "",
+      confidence || 50,
+      primary,
+      learnedP,
+      shadowP,
+    ]
+  );
+  await dbQuery(
+    `
+    INSERT INTO learning_checkpoints(sample_id, after_sec, due_at, primary_window)
+    SELECT $1, w, $2::timestamptz + (w || ' seconds')::interval, w = $3
+    FROM unnest($4::int[]) AS w
+    ON CONFLICT (sample_id, after_sec) DO NOTHING
+  `,
+    [r.rows[0].id, r.rows[0].created_at, primary, [primary, ...extra]]
+  );
+}
+
+function gradeOutcome(signal, outcomePct) {
+  if (signal === "BUY") return outcomePct > 0;
+  if (signal === "SELL") return outcomePct < 0;
+  return Math.abs(outcomePct) < 1.0;
+}
+
+// Due checkpoints are grouped by symbol and priced with one batched quote call per pass.
+// Symbols whose quote fails stay pending for the next pass.
+// Concurrent fights share one pass; each checkpoint is also claimed by its UPDATE, so a row
+// graded elsewhere (another pass, another instance) is skipped instead of learned from twice
+let learningPass = null;
+
+function evaluateDueLearning(opts) {
+  if (!learningPass) learningPass = gradeDueLearning(opts).finally(() => (learningPass = null));
+  return learningPass;
+}
+
+async function gradeDueLearning({ limit = 200 } = {}) {
+  if (!hasDb) return { evaluated: 0 };
+
+  const due = await dbQuery(
+    `
+    SELECT c.id, c.sample_id, c.after_sec, c.primary_window,
+           s.symbol, s.signal, s.price_at_signal, s.strategy, s.features
+    FROM learning_checkpoints c
+    JOIN learning_samples s ON s.id = c.sample_id
+    WHERE c.evaluated_at IS NULL AND c.due_at <= NOW()
+    ORDER BY c.due_at ASC
+    LIMIT $1
+  `,
+    [limit]
+  );
+  if (!due.rows.length) return { evaluated: 0, samples: 0, symbols: 0 };
+
+  const symbols = [...new Set(due.rows.map((r) => r.symbol))];
+  const quotes = await getStockPrices(symbols);
+  const priceOf = new Map(quotes.filter((q) => !q.error).map((q) => [q.symbol, Number(q.price)]));
+
+  let evaluated = 0;
+  let samples = 0;
+
+  for (const row of due.rows) {
+    const priceAfter = priceOf.get(row.symbol);
+    if (!priceAfter) continue;
+    const priceAt = Number(row.price_at_signal);
+    const outcomePct = ((priceAfter - priceAt) / priceAt) * 100;
+    const correct = gradeOutcome(row.signal, outcomePct);
+
+    const claimed = await dbQuery(
+      `UPDATE learning_checkpoints SET evaluated_at=NOW(), price_after=$2, outcome_pct=$3, correct=$4 WHERE id=$1 AND evaluated_at IS NULL RETURNING id`,
+      [row.id, priceAfter, outcomePct, correct]
+    );
+    if (!claimed.rows.length) continue;
     evaluated++;
+
+    if (!row.primary_window) continue;
+    await dbQuery(
+      `
+      UPDATE learning_samples
+      SET evaluated_at=NOW(), price_after=$2, outcome_pct=$3, correct=$4
+      WHERE id=$1
+    `,
+      [row.sample_id, priceAfter, outcomePct, correct]
+    );
+    await updateModelFromOutcome(row.strategy, row.features || {}, correct, row.sample_id);
+    samples++;
+  }
+
+  if (samples) await snapshotDueModels();
+  return { evaluated, samples, symbols: symbols.length, priced: priceOf.size };
+}
+
+// Accuracy per strategy x window, across every checkpoint (primary and extra)
+async function getCheckpointAccuracy({ days = 14, strategy = "" } = {}) {
+  const r = await dbQuery(
+    `
+    SELECT s.strategy, c.after_sec, bool_or(c.primary_window) AS primary_window,
+           COUNT(*)::int AS samples,
+           COUNT(*) FILTER (WHERE c.correct)::int AS correct,
+           AVG(c.outcome_pct) AS avg_outcome_pct
+    FROM learning_checkpoints c
+    JOIN learning_samples s ON s.id = c.sample_id
+    WHERE c.evaluated_at IS NOT NULL
+      AND s.created_at >= NOW() - ($1 || ' days')::interval
+      AND ($2 = '' OR s.strategy = $2)
+    GROUP BY s.strategy, c.after_sec
+    ORDER BY s.strategy ASC, c.after_sec ASC
+  `,
+    [days, strategy]
+  );
+  return r.rows.map((x) => ({
+    strategy: x.strategy,
+    afterSec: x.after_sec,
+    primary: x.primary_window,
+    samples: x.samples,
+    correct: x.correct,
+    accuracyPct: pctOf(x.correct, x.samples),
+    avgOutcomePct: roundOrNull(x.avg_outcome_pct),
+  }));
+}
+
+// -----------------------------
+// Model versions: weight history, snapshots, rollback, shadow models
+// -----------------------------
+const MODEL_SNAPSHOT_EVERY_SEC = Number(process.env.MODEL_SNAPSHOT_EVERY_SEC || 21600);
+const WEIGHT_HISTORY_DAYS = Number(process.env.WEIGHT_HISTORY_DAYS || 30);
+
+// Per-step "learn" rows older than WEIGHT_HISTORY_DAYS are deleted in batches (the periodic
+// snapshots keep the long-run record); manual sets, rollbacks and promotions are kept.
+async function pruneWeightHistory({ batch = 5000, maxBatches = 40 } = {}) {
+  if (!hasDb || !(WEIGHT_HISTORY_DAYS > 0)) return { deleted: 0, batches: 0 };
+  let deleted = 0;
+  let batches = 0;
+  while (batches < maxBatches) {
+    const r = await dbQuery(
+      `
+      WITH del AS (
+        DELETE FROM model_weight_history WHERE id IN (
+          SELECT id FROM model_weight_history WHERE reason='learn' AND ts < NOW() - make_interval(days => $1) ORDER BY id LIMIT $2
+        ) RETURNING id
+      )
+      SELECT COUNT(*)::int AS n FROM del
+    `,
+      [Math.floor(WEIGHT_HISTORY_DAYS), batch]
+    );
+    const n = r.rows[0].n;
+    deleted += n;
+    batches++;
+    if (n < batch) break;
+  }
+  return { deleted, batches };
+}
+
+async function getShadow(strategy) {
+  if (!hasDb) return null;
+  const r = await dbQuery(`SELECT strategy, created_at, lr, from_snapshot_id, note FROM model_shadows WHERE strategy=$1`, [strategy]);
+  return r.rows[0] || null;
+}
+
+async function snapshotModel(strategy, { variant = "live", label = "", reason = "manual" } = {}) {
+  const weights = await getWeights(strategy, variant);
+  const r = await dbQuery(
+    `INSERT INTO model_snapshots(strategy, variant, label, reason, weights) VALUES ($1,$2,$3,$4,$5::jsonb) RETURNING id, created_at`,
+    [strategy, variant, label, reason, JSON.stringify(weights)]
+  );
+  return { id: Number(r.rows[0].id), createdAt: r.rows[0].created_at, strategy, variant, label, reason, weights };
+}
+
+async function getSnapshot(id) {
+  const r = await dbQuery(`SELECT id, created_at, strategy, variant, label, reason, weights FROM model_snapshots WHERE id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+// Periodic safety net: one "auto" snapshot per learning strategy every MODEL_SNAPSHOT_EVERY_SEC
+async function snapshotDueModels() {
+  const r = await dbQuery(
+    `
+    SELECT w.strategy
+    FROM (SELECT DISTINCT strategy FROM model_weights) w
+    LEFT JOIN LATERAL (
+      SELECT MAX(created_at) AS last FROM model_snapshots s WHERE s.strategy=w.strategy AND s.variant='live' AND s.reason='auto'
+    ) s ON TRUE
+    WHERE s.last IS NULL OR s.last <= NOW() - ($1 || ' seconds')::interval
+  `,
+    [MODEL_SNAPSHOT_EVERY_SEC]
+  );
+  for (const { strategy } of r.rows) await snapshotModel(strategy, { reason: "auto" });
+  return r.rows.length;
+}
+
+// "live" | "shadow" | snapshot id -> weights
+async function resolveWeights(strategy, ref) {
+  if (ref === "live" || ref === "shadow") return getWeights(strategy, ref);
+  const snap = await getSnapshot(ref);
+  return snap && snap.strategy === strategy ? snap.weights : null;
+}
+
+function diffWeights(a, b) {
+  const features = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return features.map((feature) => {
+    const x = a[feature] ?? null;
+    const y = b[feature] ?? null;
+    return { feature, a: x, b: y, delta: x === null || y === null ? null : y - x };
+  });
+}
+
+// Overwrite a weight set from a map; features missing from the source go back to 0
+async function writeWeights(strategy, variant, weights, reason) {
+  const current = await getWeights(strategy, variant);
+  for (const feature of new Set([...Object.keys(current), ...Object.keys(weights)])) {
+    const w = Number(weights[feature] ?? 0);
+    if (Number(current[feature] ?? NaN) !== w) await setWeight(strategy, feature, w, { variant, reason });
+  }
+}
+
+async function rollbackModel(strategy, snapshotId) {
+  const snap = await getSnapshot(snapshotId);
+  if (!snap || snap.strategy !== strategy) return { error: "Unknown snapshot for this strategy", notFound: true };
+  const before = await snapshotModel(strategy, { reason: "pre_rollback", label: `before rollback to #${snap.id}` });
+  await writeWeights(strategy, "live", snap.weights, "rollback");
+  await emitEvent("model_rollback", { strategy, snapshotId: Number(snap.id), backupSnapshotId: before.id });
+  return { strategy, restoredFrom: Number(snap.id), backupSnapshotId: before.id, weights: await getWeights(strategy) };
+}
+
+// Start (or restart) a shadow from the live weights or a snapshot
+async function createShadow(strategy, { lr = 0.05, fromSnapshotId = null, note = "" } = {}) {
+  const source = fromSnapshotId ? await resolveWeights(strategy, fromSnapshotId) : await getWeights(strategy);
+  if (!source) return { error: "Unknown snapshot for this strategy", notFound: true };
+  if (!(lr > 0 && lr <= 1)) return { error: "lr must be in (0, 1]" };
+
+  await dbQuery(`DELETE FROM model_shadow_weights WHERE strategy=$1`, [strategy]);
+  await dbQuery(
+    `
+    INSERT INTO model_shadows(strategy, lr, from_snapshot_id, note) VALUES ($1,$2,$3,$4)
+    ON CONFLICT (strategy) DO UPDATE SET created_at=NOW(), lr=EXCLUDED.lr, from_snapshot_id=EXCLUDED.from_snapshot_id, note=EXCLUDED.note
+  `,
+    [strategy, lr, fromSnapshotId, note]
+  );
+  await writeWeights(strategy, "shadow", source, "shadow_init");
+  return { strategy, shadow: await getShadow(strategy), weights: await getWeights(strategy, "shadow") };
+}
+
+async function dropShadow(strategy) {
+  await dbQuery(`DELETE FROM model_shadow_weights WHERE strategy=$1`, [strategy]);
+  const r = await dbQuery(`DELETE FROM model_shadows WHERE strategy=$1`, [strategy]);
+  return r.rowCount > 0;
+}
+
+async function promoteShadow(strategy) {
+  if (!(await getShadow(strategy))) return { error: "No shadow model for this strategy", notFound: true };
+  const before = await snapshotModel(strategy, { reason: "pre_promote", label: "live before shadow promotion" });
+  await writeWeights(strategy, "live", await getWeights(strategy, "shadow"), "promote");
+  await dropShadow(strategy);
+  await emitEvent("model_promoted", { strategy, backupSnapshotId: before.id });
+  return { strategy, backupSnapshotId: before.id, weights: await getWeights(strategy) };
+}
+
+// Live vs shadow on the same evaluated samples: hit rate of p>=0.5 and Brier score of P(correct)
+async function compareShadow(strategy) {
+  const shadow = await getShadow(strategy);
+  if (!shadow) return { error: "No shadow model for this strategy", notFound: true };
+  const r = await dbQuery(
+    `
+    SELECT COUNT(*)::int AS samples,
+           AVG(((learned_p >= 0.5) = correct)::int) AS live_hit,
+           AVG(((shadow_p >= 0.5) = correct)::int) AS shadow_hit,
+           AVG(POWER(learned_p - correct::int, 2)) AS live_brier,
+           AVG(POWER(shadow_p - correct::int, 2)) AS shadow_brier
+    FROM learning_samples
+    WHERE strategy=$1 AND evaluated_at IS NOT NULL AND shadow_p IS NOT NULL AND learned_p IS NOT NULL
+      AND created_at >= $2
+  `,
+    [strategy, shadow.created_at]
+  );
+  const x = r.rows[0];
+  return {
+    strategy,
+    since: shadow.created_at,
+    lr: Number(shadow.lr),
+    samples: x.samples,
+    live: { hitRatePct: x.live_hit === null ? null : roundOrNull(x.live_hit * 100, 2), brier: roundOrNull(x.live_brier, 4) },
+    shadow: { hitRatePct: x.shadow_hit === null ? null : roundOrNull(x.shadow_hit * 100, 2), brier: roundOrNull(x.shadow_brier, 4) },
+  };
+}
+
+// -----------------------------
+// Learning impact (accuracy over time)
+// -----------------------------
+function pctOf(correct, samples) {
+  return samples ? Number(((correct / samples) * 100).toFixed(2)) : null;
+}
+
+function roundOrNull(x, digits = 3) {
+  return x === null || x === undefined ? null : Number(Number(x).toFixed(digits));
+}
+
+async function getLearningImpact({ days = 14, strategy = "", symbol = "", horizon = "" } = {}) {
+  // Shared filter for every breakdown: evaluated samples, signal issued within the window
+  const where = `
+    evaluated_at IS NOT NULL
+    AND created_at >= NOW() - ($1 || ' days')::interval
+    AND ($2 = '' OR strategy = $2)
+    AND ($3 = '' OR symbol = $3)
+    AND ($4 = '' OR horizon = $4)
+  `;
+  const params = [String(days), strategy, symbol, horizon];
+
+  const daily = await dbQuery(
+    `
+    SELECT strategy,
+           to_char((created_at AT TIME ZONE $5)::date, 'YYYY-MM-DD') AS day,
+           COUNT(*)::int AS samples,
+           COUNT(*) FILTER (WHERE correct)::int AS correct,
+           AVG(outcome_pct) AS avg_outcome_pct,
+           AVG(confidence) AS avg_confidence
+    FROM learning_samples
+    WHERE ${where}
+    GROUP BY strategy, day
+    ORDER BY strategy ASC, day ASC
+  `,
+    [...params, MARKET_TZ]
+  );
+
+  const byHorizon = await dbQuery(
+    `
+    SELECT strategy, horizon,
+           COUNT(*)::int AS samples,
+           COUNT(*) FILTER (WHERE correct)::int AS correct,
+           AVG(outcome_pct) AS avg_outcome_pct
+    FROM learning_samples
+    WHERE ${where}
+    GROUP BY strategy, horizon
+    ORDER BY strategy ASC, horizon ASC
+  `,
+    params
+  );
+
+  const bySymbol = await dbQuery(
+    `
+    SELECT strategy, symbol,
+           COUNT(*)::int AS samples,
+           COUNT(*) FILTER (WHERE correct)::int AS correct,
+           AVG(outcome_pct) AS avg_outcome_pct
+    FROM learning_samples
+    WHERE ${where}
+    GROUP BY strategy, symbol
+    ORDER BY strategy ASC, samples DESC, symbol ASC
+  `,
+    params
+  );
+
+  // Confidence calibration: 10-point buckets (90-99 shares the top bucket)
+  const calibration = await dbQuery(
+    `
+    SELECT strategy,
+           LEAST(90, FLOOR(confidence / 10) * 10)::int AS bucket,
+           COUNT(*)::int AS samples,
+           COUNT(*) FILTER (WHERE correct)::int AS correct,
+           AVG(confidence) AS avg_confidence
+    FROM learning_samples
+    WHERE ${where}
+    GROUP BY strategy, bucket
+    ORDER BY strategy ASC, bucket ASC
+  `,
+    params
+  );
+
+  const seriesMap = new Map();
+  for (const r of daily.rows) {
+    if (!seriesMap.has(r.strategy)) seriesMap.set(r.strategy, { strategy: r.strategy, samples: 0, correct: 0, points: [] });
+    const s = seriesMap.get(r.strategy);
+    s.samples += r.samples;
+    s.correct += r.correct;
+    s.points.push({
+      day: r.day,
+      accuracy: pctOf(r.correct, r.samples),
+      samples: r.samples,
+      avgOutcomePct: roundOrNull(r.avg_outcome_pct),
+      avgConfidence: roundOrNull(r.avg_confidence, 1),
+    });
+  }
+  const series = [...seriesMap.values()].map((s) => ({
+    strategy: s.strategy,
+    samples: s.samples,
+    accuracy: pctOf(s.correct, s.samples),
+    points: s.points,
+  }));
+
+  const breakdown = (rows, key) =>
+    rows.map((r) => ({
+      strategy: r.strategy,
+      [key]: r[key],
+      samples: r.samples,
+      accuracy: pctOf(r.correct, r.samples),
+      avgOutcomePct: roundOrNull(r.avg_outcome_pct),
+    }));
+
+  const calMap = new Map();
+  for (const r of calibration.rows) {
+    if (!calMap.has(r.strategy)) calMap.set(r.strategy, { strategy: r.strategy, buckets: [] });
+    const avgConfidence = roundOrNull(r.avg_confidence, 1);
+    const accuracy = pctOf(r.correct, r.samples);
+    calMap.get(r.strategy).buckets.push({
+      bucket: `${r.bucket}-${r.bucket + 9}`,
+      samples: r.samples,
+      avgConfidence,
+      accuracy,
+      // > 0 means the bot was overconfident in this bucket
+      gap: accuracy === null ? null : Number((avgConfidence - accuracy).toFixed(2)),
+    });
+  }
+
+  return {
+    days,
+    tz: MARKET_TZ,
+    series,
+    byHorizon: breakdown(byHorizon.rows, "horizon"),
+    bySymbol: breakdown(bySymbol.rows, "symbol"),
+    calibration: [...calMap.values()],
+  };
+}
+
+// -----------------------------
+// Trade + account updates (bot_* tables only)
+// -----------------------------
+// db is a pg client inside executeTrade's transaction
+// price is in the account currency; localPrice/currency/fxRate keep the instrument-side quote
+async function recordTrade(db, { bot, strategy, symbol, side, qty, requestedQty, price, rationale, confidence, horizon, marketOpen, features, status, rejectReason, orderId, currency, localPrice, fxRate }) {
+  const r = await db.query(
+    `
+    INSERT INTO bot_trades(bot, strategy, symbol, side, qty, requested_qty, price, rationale, confidence, horizon, market_open, features, status, reject_reason, order_id, currency, local_price, fx_rate)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12::jsonb,$13,$14,$15,$16,$17,$18)
+    RETURNING *
+  `,
+    [
+      bot,
+      strategy || "",
+      symbol,
+      side,
+      qty,
+      requestedQty ?? qty,
+      price,
+      rationale || "",
+      confidence || 50,
+      horizon || "medium",
+      !!marketOpen,
+      JSON.stringify(features || {}),
+      status || "filled",
+      rejectReason || null,
+      orderId || null,
+      currency || null,
+      localPrice ?? null,
+      fxRate ?? null,
+    ]
+  );
+  return r.rows[0];
+}
+
+// -----------------------------
+// Lot ledger (cost basis + realized P&L)
+// -----------------------------
+// "fifo": each sell realizes against the oldest open lots' prices.
+// "average": lots are still consumed oldest-first (for holding periods) but realize against avg_price.
+async function getAccountingMethod(bot) {
+  const a = (hasDb ? await getSetting("accounting") : null) || { method: "fifo", bots: {} };
+  const m = a.bots?.[bot] || a.method;
+  return m === "average" ? "average" : "fifo";
+}
+
+// side: "long" lots come from BUYs, "short" lots from short SELLs (qty is always positive)
+async function openLot(db, { bot, symbol, side = "long", tradeId, qty, price, openedAt = null }) {
+  await db.query(
+    `
+    INSERT INTO bot_lots(bot, symbol, side, open_trade_id, qty, remaining_qty, price, opened_at)
+    VALUES ($1,$2,$3,$4,$5,$5,$6,COALESCE($7::timestamptz, NOW()))
+  `,
+    [bot, symbol, side, tradeId || null, qty, price, openedAt]
+  );
+}
+
+// Positions that predate the ledger have no lots; book the gap as the oldest lot at its implied cost
+async function ensureLotsCover(db, { bot, symbol, curQty, avgPrice }) {
+  if (curQty === 0) return;
+  const side = curQty > 0 ? "long" : "short";
+  const held = Math.abs(curQty);
+  const r = await db.query(
+    `
+    SELECT COALESCE(SUM(remaining_qty), 0) AS open_qty,
+           COALESCE(SUM(remaining_qty * price), 0) AS open_cost,
+           MIN(opened_at) - interval '1 second' AS before_first
+    FROM bot_lots
+    WHERE bot=$1 AND symbol=$2 AND side=$3 AND remaining_qty > 0
+  `,
+    [bot, symbol, side]
+  );
+  const gap = held - Number(r.rows[0].open_qty);
+  if (gap <= 0) return;
+  const price = Math.max(0, (held * avgPrice - Number(r.rows[0].open_cost)) / gap);
+  await openLot(db, { bot, symbol, side, tradeId: null, qty: gap, price, openedAt: r.rows[0].before_first });
+}
+
+// Long lots realize (price - basis); short lots realize (basis - price)
+async function closeLots(db, { bot, symbol, side = "long", tradeId, qty, price, avgPrice, method }) {
+  const lots = await db.query(
+    `
+    SELECT id, remaining_qty, price, opened_at
+    FROM bot_lots
+    WHERE bot=$1 AND symbol=$2 AND side=$3 AND remaining_qty > 0
+    ORDER BY opened_at ASC, id ASC
+    FOR UPDATE
+  `,
+    [bot, symbol, side]
+  );
+
+  const dir = side === "short" ? -1 : 1;
+  let left = qty;
+  let realized = 0;
+  for (const lot of lots.rows) {
+    if (left <= 0) break;
+    const take = Math.min(left, Number(lot.remaining_qty));
+    const basis = method === "average" ? avgPrice : Number(lot.price);
+    const pnl = dir * take * (price - basis);
+    const holdingSec = Math.max(0, Math.round((Date.now() - new Date(lot.opened_at).getTime()) / 1000));
+
+    await db.query(
+      `
+      UPDATE bot_lots
+      SET remaining_qty = remaining_qty - $2,
+          closed_at = CASE WHEN remaining_qty - $2 <= 0 THEN NOW() ELSE NULL END
+      WHERE id=$1
+    `,
+      [lot.id, take]
+    );
+    await db.query(
+      `
+      INSERT INTO bot_lot_closes(bot, symbol, lot_id, sell_trade_id, qty, open_price, cost_basis, close_price, realized_pnl, holding_sec, method)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    `,
+      [bot, symbol, lot.id, tradeId || null, take, Number(lot.price), basis, price, pnl, holdingSec, method]
+    );
+
+    realized += pnl;
+    left -= take;
+  }
+
+  // FIFO cost basis of what is still open becomes the position's avg_price
+  const rest = await db.query(
+    `
+    SELECT COALESCE(SUM(remaining_qty), 0) AS qty, COALESCE(SUM(remaining_qty * price), 0) AS cost
+    FROM bot_lots
+    WHERE bot=$1 AND symbol=$2 AND side=$3 AND remaining_qty > 0
+  `,
+    [bot, symbol, side]
+  );
+  const openQty = Number(rest.rows[0].qty);
+  const fifoAvg = openQty > 0 ? Number(rest.rows[0].cost) / openQty : 0;
+
+  return { realized, fifoAvg };
+}
+
+// -----------------------------
+// Short selling (per-bot opt-in) + simulated margin
+// -----------------------------
+// Short proceeds are credited to cash but stay locked, together with initialMarginPct of the
+// short's value, so buying power = cash - sum(short value * (1 + initialMarginPct/100)).
+// Borrow fees accrue continuously against cash; if equity falls below maintenanceMarginPct of
+// gross short value, every short of that bot is bought back at market (margin call).
+const DEFAULT_SHORTING = {
+  enabled: false,
+  initialMarginPct: 50,
+  maintenanceMarginPct: 30,
+  borrowFeeAnnualPct: 3,
+};
+
+async function getShortingConfig(bot) {
+  const s = (hasDb ? await getSetting("shorting") : null) || {};
+  return { ...DEFAULT_SHORTING, ...(s.default || {}), ...(s.bots?.[bot] || {}) };
+}
+
+// Inside executeTrade's transaction; shorts other than `symbol` are valued at avg_price
+async function getBuyingPower(db, { bot, cash, symbol, price, initialMarginPct }) {
+  const r = await db.query(`SELECT symbol, qty, avg_price FROM bot_positions WHERE bot=$1 AND qty < 0`, [bot]);
+  let locked = 0;
+  for (const p of r.rows) {
+    const px = p.symbol === symbol ? price : Number(p.avg_price);
+    locked += Math.abs(Number(p.qty)) * px * (1 + initialMarginPct / 100);
+  }
+  return cash - locked;
+}
+
+// Accrue borrow fees and enforce maintenance margin for every bot holding shorts. Forced
+// covers only hit shorts whose venue is open and that have a live quote; the rest wait for
+// a later tick (counted in deferred) rather than filling at a stale or closed-market price.
+async function runMarginMaintenance() {
+  if (!hasDb) return { accrued: 0, marginCalls: 0, deferred: 0 };
+  const shorts = await dbQuery(
+    `SELECT bot, symbol, qty, avg_price, borrow_accrued_at FROM bot_positions WHERE qty < 0`
+  );
+  if (!shorts.rows.length) return { accrued: 0, marginCalls: 0, deferred: 0 };
+
+  const longs = await dbQuery(
+    `SELECT bot, symbol, qty, avg_price FROM bot_positions WHERE qty > 0 AND bot = ANY($1)`,
+    [[...new Set(shorts.rows.map((p) => p.bot))]]
+  );
+  const quoted = await quotePositions([...shorts.rows, ...longs.rows]);
+  const px = (p) => quoted.get(`${p.bot}:${p.symbol}`)?.account ?? Number(p.avg_price);
+  // Fills take instrument-currency prices; fall back to avg_price converted back
+  const localPx = (p) => {
+    const q = quoted.get(`${p.bot}:${p.symbol}`);
+    return q?.local ?? Number(p.avg_price) / (q?.rate || 1);
+  };
+
+  let accrued = 0;
+  for (const p of shorts.rows) {
+    const cfg = await getShortingConfig(p.bot);
+    const since = p.borrow_accrued_at ? new Date(p.borrow_accrued_at).getTime() : Date.now();
+    const years = Math.max(0, Date.now() - since) / (365 * 86400000);
+    const fee = Math.abs(Number(p.qty)) * px(p) * (cfg.borrowFeeAnnualPct / 100) * years;
+    await dbTx(async (db) => {
+      await db.query(`UPDATE bot_positions SET borrow_accrued_at=NOW() WHERE bot=$1 AND symbol=$2`, [p.bot, p.symbol]);
+      if (fee > 0) {
+        await db.query(
+          `UPDATE bot_accounts SET cash=cash - $2, borrow_fees=borrow_fees + $2, realized_pnl=realized_pnl - $2, updated_at=NOW() WHERE bot=$1`,
+          [p.bot, fee]
+        );
+      }
+    });
+    accrued += fee;
+  }
+
+  let marginCalls = 0;
+  let deferred = 0;
+  const bots = [...new Set(shorts.rows.map((p) => p.bot))];
+  for (const bot of bots) {
+    const cfg = await getShortingConfig(bot);
+    const ar = await dbQuery(`SELECT cash FROM bot_accounts WHERE bot=$1`, [bot]);
+    if (!ar.rows[0]) continue;
+    const mine = shorts.rows.filter((p) => p.bot === bot);
+    const shortValue = mine.reduce((sum, p) => sum + Math.abs(Number(p.qty)) * px(p), 0);
+    const equity =
+      Number(ar.rows[0].cash) +
+      [...mine, ...longs.rows.filter((p) => p.bot === bot)].reduce((sum, p) => sum + Number(p.qty) * px(p), 0);
+    const required = shortValue * (cfg.maintenanceMarginPct / 100);
+    if (equity >= required) continue;
+
+    const coverable = mine.filter((p) => marketForSymbol(p.symbol).open && quoted.get(`${p.bot}:${p.symbol}`)?.local != null);
+    deferred += mine.length - coverable.length;
+    if (!coverable.length) continue;
+
+    marginCalls++;
+    const waiting = mine.filter((p) => !coverable.includes(p)).map((p) => p.symbol);
+    await emitEvent("margin_call", { bot, equity, shortValue, required, maintenanceMarginPct: cfg.maintenanceMarginPct, deferred: waiting });
+    for (const p of coverable) {
+      await executeTrade({
+        bot,
+        strategy: bot,
+        symbol: p.symbol,
+        side: "BUY",
+        qty: Math.abs(Number(p.qty)),
+        price: localPx(p),
+        rationale: `Margin call forced liquidation (equity ${equity.toFixed(2)} < ${required.toFixed(2)})`,
+        confidence: 99,
+        horizon: "short",
+        marketOpen: true,
+        features: { marginCall: true, equity, shortValue, required },
+        force: true,
+      });
+    }
   }
 
-  return { evaluated };
+  return { accrued, marginCalls, deferred };
 }
 
 // -----------------------------
-// Trade + account updates (bot_* tables only)
+// Order execution: validate + fill (or reject) in one transaction
 // -----------------------------
-async function recordTrade({ bot, strategy, symbol, side, qty, price, rationale, confidence, horizon, marketOpen, features }) {
+// Row locks on bot_accounts and bot_positions serialize concurrent ticks for the same bot.
+// Every attempt is written to bot_trades: status "filled" or "rejected" with reject_reason.
+// Positions never flip sign in one fill: BUY covers a short (or adds to a long),
+// SELL closes a long (or opens/adds to a short when the bot has shorting enabled).
+// reduceOnly fills may only shrink the position; when a fill leaves it flat, any bracket exits
+// still resting for it are cancelled in the same transaction.
+async function executeTrade(input) {
   if (!hasDb) return null;
+  // Incoming price is in the instrument's currency; everything below runs in the account's
+  const currency = resolveVenue(input.symbol).currency;
+  const fxRate = await getFxRate(currency, await getAccountCurrency(input.bot));
+  const order = { ...input, price: Number(input.price) * (fxRate || 0), localPrice: Number(input.price), currency, fxRate };
+  const { bot, symbol, side, price } = order;
+  const requestedQty = Number(order.qty);
+  const method = await getAccountingMethod(bot);
+  const shorting = await getShortingConfig(bot);
+  const marks = order.risk ? await riskMarks(bot) : null;
+  let riskBlock = null;
+
+  const out = await dbTx(async (db) => {
+    const reject = async (reason) => {
+      const trade = await recordTrade(db, { ...order, qty: 0, requestedQty, status: "rejected", rejectReason: reason });
+      return { status: "rejected", reason, trade, qty: 0, realized: 0 };
+    };
+
+    if (!["BUY", "SELL"].includes(side)) return reject("invalid_side");
+    if (!(requestedQty > 0)) return reject("invalid_qty");
+    if (!fxRate) return reject("no_fx_rate");
+    if (!(Number(price) > 0)) return reject("invalid_price");
+
+    const ar = await db.query(`SELECT cash FROM bot_accounts WHERE bot=$1 FOR UPDATE`, [bot]);
+    if (!ar.rows[0]) return reject("no_account");
+    let cash = Number(ar.rows[0].cash);
+
+    if (order.risk) {
+      riskBlock = await checkRisk(db, order, marks);
+      if (riskBlock) return { ...(await reject(`risk_${riskBlock.rule}`)), risk: riskBlock };
+    }
+
+    // Make sure the position row exists so it can be locked even on a first buy
+    await db.query(
+      `INSERT INTO bot_positions(bot, symbol, qty, avg_price) VALUES ($1,$2,0,0) ON CONFLICT (bot, symbol) DO NOTHING`,
+      [bot, symbol]
+    );
+    const pr = await db.query(
+      `SELECT qty, avg_price FROM bot_positions WHERE bot=$1 AND symbol=$2 FOR UPDATE`,
+      [bot, symbol]
+    );
+    let curQty = Number(pr.rows[0].qty);
+    let avgPrice = Number(pr.rows[0].avg_price);
+
+    let qty = requestedQty;
+    let realized = 0;
+    let trade = null;
+
+    // Reduce an existing position (sell a long / cover a short)
+    const closing = (side === "SELL" && curQty > 0) || (side === "BUY" && curQty < 0);
+    if (order.reduceOnly && !closing) return reject("reduce_only_no_position");
+    if (closing) {
+      const lotSide = curQty > 0 ? "long" : "short";
+      qty = Math.min(Math.abs(curQty), requestedQty);
+      // Forced covers (margin calls) must go through even if cash goes negative
+      if (side === "BUY" && cash < qty * price && !order.force) return reject("insufficient_cash");
+
+      trade = await recordTrade(db, { ...order, qty, requestedQty, status: "filled" });
+      await ensureLotsCover(db, { bot, symbol, curQty, avgPrice });
+      const closed = await closeLots(db, { bot, symbol, side: lotSide, tradeId: trade.id, qty, price, avgPrice, method });
+      realized = closed.realized;
+      if (method === "fifo") avgPrice = closed.fifoAvg;
+
+      curQty += side === "BUY" ? qty : -qty;
+      cash += side === "BUY" ? -qty * price : qty * price;
+      if (curQty === 0) avgPrice = 0;
+    } else {
+      // Open or add (long on BUY, short on SELL)
+      const lotSide = side === "BUY" ? "long" : "short";
+      if (lotSide === "short" && !shorting.enabled) return reject("no_position");
+
+      const buyingPower = await getBuyingPower(db, { bot, cash, symbol, price, initialMarginPct: shorting.initialMarginPct });
+      const needed = lotSide === "long" ? qty * price : qty * price * (shorting.initialMarginPct / 100);
+      if (buyingPower < needed) return reject(lotSide === "long" ? "insufficient_cash" : "insufficient_margin");
+
+      trade = await recordTrade(db, { ...order, qty, requestedQty, status: "filled" });
+      await ensureLotsCover(db, { bot, symbol, curQty, avgPrice });
+      await openLot(db, { bot, symbol, side: lotSide, tradeId: trade.id, qty, price });
+
+      const held = Math.abs(curQty);
+      avgPrice = (held * avgPrice + qty * price) / (held + qty);
+      curQty += side === "BUY" ? qty : -qty;
+      cash += side === "BUY" ? -qty * price : qty * price;
+    }
+
+    await db.query(
+      `UPDATE bot_accounts SET cash=$2, realized_pnl=realized_pnl + $3, updated_at=NOW() WHERE bot=$1`,
+      [bot, cash, realized]
+    );
+    await db.query(
+      `
+      UPDATE bot_positions
+      SET qty=$3::numeric, avg_price=$4, updated_at=NOW(),
+          borrow_accrued_at=CASE WHEN $3::numeric < 0 THEN COALESCE(borrow_accrued_at, NOW()) ELSE NULL END
+      WHERE bot=$1 AND symbol=$2
+    `,
+      [bot, symbol, curQty, avgPrice]
+    );
+    if (curQty === 0) {
+      await db.query(
+        `
+        UPDATE bot_orders SET status='cancelled', reject_reason='position_closed', updated_at=NOW()
+        WHERE bot=$1 AND symbol=$2 AND parent_id IS NOT NULL AND status IN ('open','triggered') AND id <> $3
+      `,
+        [bot, symbol, order.orderId ?? 0]
+      );
+    }
+
+    return { status: "filled", reason: null, trade, qty, realized };
+  });
+  if (riskBlock) await reportRiskBlock(order, riskBlock);
+  return out;
+}
+
+// -----------------------------
+// Order book: limit / stop / stop_limit / bracket with time-in-force
+// -----------------------------
+// Market orders fill immediately through executeTrade. Everything else rests in bot_orders
+// and is checked against fresh quotes by processOpenOrders() on every runner tick.
+// Bracket exits are created as children (parent_id) once the entry fills, as a
+// one-cancels-other pair (oco_group) sized to the filled qty. They are reduce-only: capped to
+// the long still held, rejected once it is gone, and cancelled when anything else flattens it.
+const ORDER_TYPES = ["market", "limit", "stop", "stop_limit"];
+const ORDER_TIFS = ["day", "gtc", "ioc"];
+
+// Horizon -> default exit plan for bot entries (editable via the exit_plans setting)
+const DEFAULT_EXIT_PLANS = {
+  short: { takeProfitPct: 1.5, stopLossPct: 1.0, tif: "day" },
+  medium: { takeProfitPct: 4.0, stopLossPct: 2.5, tif: "gtc", maxDays: 10 },
+  long: { takeProfitPct: 12.0, stopLossPct: 6.0, tif: "gtc", maxDays: 90 },
+};
+
+async function getExitPlan(horizon) {
+  const s = hasDb ? await getSetting("exit_plans") : null;
+  return { ...DEFAULT_EXIT_PLANS[horizon], ...(s?.[horizon] || {}) };
+}
+
+// Day orders expire at the venue's next regular close (13:00 on early-close days);
+// 24/7 venues have no close, so a day order lasts 24 hours there
+function dayOrderExpiry(symbol, now = new Date()) {
+  const { nextClose } = nextSessionTimes(now, resolveVenue(symbol));
+  return nextClose ? new Date(nextClose) : new Date(now.getTime() + 86400000);
+}
+
+function orderExpiry({ symbol, tif, expiresAt, maxDays }) {
+  if (expiresAt) return new Date(expiresAt);
+  if (tif === "day") return dayOrderExpiry(symbol);
+  if (maxDays) return new Date(Date.now() + maxDays * 86400000);
+  return null;
+}
+
+function validateOrder(o) {
+  const errors = [];
+  if (!o.bot) errors.push("bot is required");
+  if (!o.symbol) errors.push("symbol is required");
+  if (!["BUY", "SELL"].includes(o.side)) errors.push("side must be BUY or SELL");
+  if (!ORDER_TYPES.includes(o.type)) errors.push(`type must be one of ${ORDER_TYPES.join(", ")}`);
+  if (!ORDER_TIFS.includes(o.tif)) errors.push(`tif must be one of ${ORDER_TIFS.join(", ")}`);
+  if (!(o.qty > 0)) errors.push("qty must be > 0");
+  if (["limit", "stop_limit"].includes(o.type) && !(o.limitPrice > 0)) errors.push("limitPrice must be > 0");
+  if (["stop", "stop_limit"].includes(o.type) && !(o.stopPrice > 0)) errors.push("stopPrice must be > 0");
+  if (o.bracket) {
+    if (o.side !== "BUY") errors.push("bracket exits are only supported on BUY entries");
+    if (!(o.bracket.takeProfitPct > 0) && !(o.bracket.stopLossPct > 0)) {
+      errors.push("bracket needs takeProfitPct and/or stopLossPct");
+    }
+  }
+  return errors;
+}
+
+async function insertOrder(o) {
   const r = await dbQuery(
     `
-    INSERT INTO bot_trades(bot, strategy, symbol, side, qty, price, rationale, confidence, horizon, market_open, features)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11::jsonb)
+    INSERT INTO bot_orders(bot, strategy, symbol, side, type, qty, limit_price, stop_price, tif, status,
+                           parent_id, oco_group, bracket, expires_at, rationale, confidence, horizon, features)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13::jsonb,$14,$15,$16,$17,$18::jsonb)
     RETURNING *
   `,
     [
-      bot,
-      strategy || "",
-      symbol,
-      side,
-      qty,
-      price,
-      rationale || "",
-      confidence || 50,
-      horizon || "medium",
-      !!marketOpen,
-      JSON.stringify(features || {}),
+      o.bot,
+      o.strategy || o.bot,
+      o.symbol,
+      o.side,
+      o.type,
+      o.qty,
+      o.limitPrice ?? null,
+      o.stopPrice ?? null,
+      o.tif,
+      o.status || "open",
+      o.parentId ?? null,
+      o.ocoGroup ?? null,
+      o.bracket ? JSON.stringify(o.bracket) : null,
+      o.expiresAt ?? null,
+      o.rationale || "",
+      o.confidence || 50,
+      o.horizon || "medium",
+      JSON.stringify(o.features || {}),
     ]
   );
   return r.rows[0];
 }
 
-async function applyTradeToAccount({ bot, symbol, side, qty, price }) {
-  if (!hasDb) return;
+async function setOrderStatus(id, status, extra = {}) {
+  await dbQuery(
+    `
+    UPDATE bot_orders
+    SET status=$2,
+        reject_reason=COALESCE($3, reject_reason),
+        filled_trade_id=COALESCE($4, filled_trade_id),
+        filled_price=COALESCE($5, filled_price),
+        triggered_at=CASE WHEN $2 = 'triggered' THEN NOW() ELSE triggered_at END,
+        updated_at=NOW()
+    WHERE id=$1
+  `,
+    [id, status, extra.reason ?? null, extra.tradeId ?? null, extra.price ?? null]
+  );
+}
+
+async function openBracketExits(parent, filledQty, fillPrice) {
+  const b = typeof parent.bracket === "string" ? JSON.parse(parent.bracket) : parent.bracket;
+  if (!b || !(filledQty > 0)) return [];
+  const ocoGroup = `bracket-${parent.id}`;
+  const common = {
+    bot: parent.bot,
+    strategy: parent.strategy,
+    symbol: parent.symbol,
+    side: "SELL",
+    qty: filledQty,
+    tif: b.tif || "gtc",
+    parentId: parent.id,
+    ocoGroup,
+    horizon: parent.horizon,
+    expiresAt: orderExpiry({ symbol: parent.symbol, tif: b.tif || "gtc", maxDays: b.maxDays }),
+  };
+  const out = [];
+  if (b.takeProfitPct > 0) {
+    out.push(
+      await insertOrder({
+        ...common,
+        type: "limit",
+        limitPrice: Number((fillPrice * (1 + b.takeProfitPct / 100)).toFixed(4)),
+        rationale: `Take-profit +${b.takeProfitPct}% (${parent.horizon} exit plan)`,
+      })
+    );
+  }
+  if (b.stopLossPct > 0) {
+    out.push(
+      await insertOrder({
+        ...common,
+        type: "stop",
+        stopPrice: Number((fillPrice * (1 - b.stopLossPct / 100)).toFixed(4)),
+        rationale: `Stop-loss -${b.stopLossPct}% (${parent.horizon} exit plan)`,
+      })
+    );
+  }
+  return out;
+}
+
+async function cancelOcoSiblings(order) {
+  if (!order.oco_group) return;
+  await dbQuery(
+    `
+    UPDATE bot_orders SET status='cancelled', reject_reason='oco_sibling_filled', updated_at=NOW()
+    WHERE oco_group=$1 AND id<>$2 AND status IN ('open','triggered')
+  `,
+    [order.oco_group, order.id]
+  );
+}
+
+// Claims the order (status "filling") first, so a concurrent pass or an immediate fill
+// racing a tick cannot fill it twice; an order someone else claimed comes back "skipped"
+async function fillOrder(order, price, marketOpen, extra = {}) {
+  const claim = await dbQuery(
+    `UPDATE bot_orders SET status='filling', updated_at=NOW() WHERE id=$1 AND status IN ('open','triggered') RETURNING status`,
+    [order.id]
+  );
+  if (!claim.rows.length) return { status: "skipped", reason: "order_not_open", qty: 0 };
+
+  let exec;
+  try {
+    exec = await executeTrade({
+      ...extra,
+      bot: order.bot,
+      strategy: order.strategy,
+      symbol: order.symbol,
+      side: order.side,
+      qty: Number(order.qty),
+      price,
+      rationale: order.rationale,
+      confidence: order.confidence,
+      horizon: order.horizon,
+      marketOpen,
+      features: { ...(order.features || {}), orderId: Number(order.id), orderType: order.type },
+      orderId: order.id,
+      reduceOnly: !!order.parent_id,
+    });
+  } catch (e) {
+    await setOrderStatus(order.id, order.status === "triggered" ? "triggered" : "open");
+    throw e;
+  }
+
+  if (exec.status === "filled") {
+    await setOrderStatus(order.id, "filled", { tradeId: exec.trade?.id, price });
+    await cancelOcoSiblings(order);
+    await openBracketExits(order, exec.qty, price);
+  } else {
+    await setOrderStatus(order.id, "rejected", { reason: exec.reason, tradeId: exec.trade?.id });
+    // A rejected exit (e.g. position already gone) makes its sibling meaningless too
+    await cancelOcoSiblings(order);
+  }
+  return exec;
+}
+
+// Trigger rules against the latest price
+function orderTriggered(order, price) {
+  const lim = Number(order.limit_price);
+  const stop = Number(order.stop_price);
+  const buy = order.side === "BUY";
+  const limitOk = () => (buy ? price <= lim : price >= lim);
+  const stopHit = () => (buy ? price >= stop : price <= stop);
+
+  if (order.type === "market") return { fill: true };
+  if (order.type === "limit") return { fill: limitOk() };
+  if (order.type === "stop") return { fill: stopHit() };
+  if (order.type === "stop_limit") {
+    if (order.status === "triggered") return { fill: limitOk() };
+    if (!stopHit()) return { fill: false };
+    return { fill: limitOk(), trigger: true };
+  }
+  return { fill: false };
+}
+
+async function placeOrder(input, { marketOpen = false, price = null } = {}) {
+  const o = {
+    ...input,
+    type: input.type || "market",
+    tif: input.tif || "gtc",
+    qty: Number(input.qty),
+    limitPrice: input.limitPrice != null ? Number(input.limitPrice) : null,
+    stopPrice: input.stopPrice != null ? Number(input.stopPrice) : null,
+  };
+  const errors = validateOrder(o);
+  if (errors.length) return { status: "invalid", errors };
+
+  const order = await insertOrder({ ...o, expiresAt: orderExpiry(o) });
+
+  const px = price ?? Number((await getStockPrice(o.symbol)).price);
+  const check = orderTriggered(order, px);
+  if (check.fill) {
+    const exec = await fillOrder(order, px, marketOpen, { risk: !!input.risk });
+    return { status: exec.status, reason: exec.reason, order, exec };
+  }
+  if (check.trigger) await setOrderStatus(order.id, "triggered");
+  if (o.tif === "ioc") {
+    await setOrderStatus(order.id, "cancelled", { reason: "ioc_not_fillable" });
+    return { status: "cancelled", reason: "ioc_not_fillable", order };
+  }
+  return { status: check.trigger ? "triggered" : "open", order };
+}
+
+// Each order is gated by its own symbol's venue (crypto fills on weekends, London at London hours)
+async function processOpenOrders() {
+  if (!hasDb) return { checked: 0, filled: 0, expired: 0 };
+
+  const expired = await dbQuery(
+    `
+    UPDATE bot_orders SET status='expired', updated_at=NOW()
+    WHERE status IN ('open','triggered') AND expires_at IS NOT NULL AND expires_at <= NOW()
+    RETURNING id
+  `
+  );
+
+  const all = await dbQuery(
+    `SELECT * FROM bot_orders WHERE status IN ('open','triggered') ORDER BY created_at ASC, id ASC LIMIT 500`
+  );
+  const marketOf = new Map([...new Set(all.rows.map((o) => o.symbol))].map((sym) => [sym, marketForSymbol(sym)]));
+  const open = { rows: all.rows.filter((o) => marketOf.get(o.symbol).open || !NEWS_ONLY_WHEN_CLOSED) };
+  if (!open.rows.length) return { checked: 0, filled: 0, expired: expired.rowCount };
+
+  const quotes = await getStockPrices(open.rows.map((o) => o.symbol));
+  const priceOf = new Map(quotes.filter((q) => !q.error).map((q) => [q.symbol, Number(q.price)]));
+
+  let filled = 0;
+  for (const order of open.rows) {
+    const px = priceOf.get(order.symbol);
+    if (!(px > 0)) continue;
+
+    const check = orderTriggered(order, px);
+    if (check.fill) {
+      const exec = await fillOrder(order, px, marketOf.get(order.symbol).open);
+      if (exec.status === "filled") filled++;
+    } else if (check.trigger) {
+      await setOrderStatus(order.id, "triggered");
+    }
+  }
+
+  return { checked: open.rows.length, filled, expired: expired.rowCount };
+}
+
+async function cancelOrder(id, reason = "cancelled_by_user") {
+  const r = await dbQuery(
+    `
+    UPDATE bot_orders SET status='cancelled', reject_reason=$2, updated_at=NOW()
+    WHERE (id=$1 OR parent_id=$1) AND status IN ('open','triggered')
+    RETURNING id
+  `,
+    [id, reason]
+  );
+  return r.rowCount;
+}
+
+// Realized P&L per bot/symbol from the lot ledger
+async function getRealizedPnl({ bot = "", symbol = "", days = 0 } = {}) {
+  const r = await dbQuery(
+    `
+    SELECT bot, symbol,
+           SUM(realized_pnl) AS realized_pnl,
+           SUM(qty) AS closed_qty,
+           COUNT(DISTINCT sell_trade_id)::int AS sells,
+           COUNT(*) FILTER (WHERE realized_pnl > 0)::int AS winning_closes,
+           COUNT(*) FILTER (WHERE realized_pnl < 0)::int AS losing_closes,
+           SUM(holding_sec * qty) / NULLIF(SUM(qty), 0) AS avg_holding_sec,
+           MAX(closed_at) AS last_closed_at
+    FROM bot_lot_closes
+    WHERE ($1 = '' OR bot = $1)
+      AND ($2 = '' OR symbol = $2)
+      AND ($3::int = 0 OR closed_at >= NOW() - ($3 || ' days')::interval)
+    GROUP BY bot, symbol
+    ORDER BY bot ASC, realized_pnl DESC
+  `,
+    [bot, symbol, Math.max(0, Math.floor(Number(days) || 0))]
+  );
+  return r.rows.map((x) => ({
+    bot: x.bot,
+    symbol: x.symbol,
+    realizedPnl: Number(x.realized_pnl),
+    closedQty: Number(x.closed_qty),
+    sells: x.sells,
+    winningCloses: x.winning_closes,
+    losingCloses: x.losing_closes,
+    avgHoldingSec: x.avg_holding_sec === null ? null : Math.round(Number(x.avg_holding_sec)),
+    lastClosedAt: x.last_closed_at,
+  }));
+}
+
+// Mark-to-market: equity = cash + open positions at current quotes (avg_price if a quote fails)
+async function getBotPortfolios() {
+  if (!hasDb) return [];
+  const ar = await dbQuery(
+    `SELECT bot, strategy, label, currency, cash, goal, realized_pnl, borrow_fees, paused, paused_reason, paused_at FROM bot_accounts ORDER BY bot ASC`
+  );
+  const pr = await dbQuery(`SELECT bot, symbol, qty, avg_price FROM bot_positions WHERE qty <> 0`);
+
+  // Prices are converted into each bot's account currency; localPrice is the raw quote
+  const quoted = await quotePositions(pr.rows);
+
+  const positionsByBot = new Map();
+  for (const p of pr.rows) {
+    const qty = Number(p.qty);
+    const avgPrice = Number(p.avg_price);
+    const q = quoted.get(`${p.bot}:${p.symbol}`);
+    const stale = q?.account === null || q?.account === undefined;
+    const price = stale ? avgPrice : q.account;
+    const marketValue = qty * price;
+    const unrealizedPnl = qty * (price - avgPrice);
+    if (!positionsByBot.has(p.bot)) positionsByBot.set(p.bot, []);
+    positionsByBot.get(p.bot).push({
+      symbol: p.symbol,
+      qty,
+      avgPrice,
+      price,
+      localPrice: q?.local ?? null,
+      currency: resolveVenue(p.symbol).currency,
+      marketValue,
+      unrealizedPnl,
+      stale,
+    });
+  }
+
+  return ar.rows.map((a) => {
+    const positions = positionsByBot.get(a.bot) || [];
+    const cash = Number(a.cash);
+    const goal = Number(a.goal);
+    const marketValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+    const equity = cash + marketValue;
+    return {
+      bot: a.bot,
+      strategy: a.strategy,
+      label: a.label,
+      currency: a.currency,
+      paused: !!a.paused,
+      pausedReason: a.paused_reason,
+      pausedAt: a.paused_at,
+      cash,
+      goal,
+      equity,
+      marketValue,
+      unrealizedPnl: positions.reduce((sum, p) => sum + p.unrealizedPnl, 0),
+      realizedPnl: Number(a.realized_pnl || 0),
+      exposure: positions.reduce((sum, p) => sum + Math.abs(p.marketValue), 0),
+      shortExposure: positions.reduce((sum, p) => sum + (p.qty < 0 ? -p.marketValue : 0), 0),
+      borrowFees: Number(a.borrow_fees || 0),
+      positionCount: positions.length,
+      goalProgressPct: goal > 0 ? (equity / goal) * 100 : null,
+      positions,
+    };
+  });
+}
+
+// -----------------------------
+// Position sizing (replaces the old fixed qty = 1)
+// -----------------------------
+// Modes:
+//   fixed_dollar  trade `dollars` worth
+//   pct_equity    trade `pct` % of the bot's equity
+//   kelly         f* = p - (1-p)/b from learnedP and the exit plan's TP/SL ratio, times `fraction`
+//   vol_target    size so a 1-sigma daily move costs `targetRiskPct` % of equity
+// Every mode is capped at `maxPct` % of equity and optionally scaled by confidence.
+const DEFAULT_SIZING = {
+  mode: "pct_equity",
+  dollars: 1000,
+  pct: 2,
+  fraction: 0.25,
+  targetRiskPct: 0.5,
+  volFloorPct: 1.0,
+  maxPct: 10,
+  scaleByConfidence: true,
+  fractional: false,
+};
+
+async function getSizingConfig(bot) {
+  const s = (hasDb ? await getSetting("sizing") : null) || {};
+  return { ...DEFAULT_SIZING, ...(s.default || {}), ...(s.bots?.[bot] || {}) };
+}
+
+// Equity for sizing: cash + positions at cost, except the traded symbol which is marked at `price`.
+// Avoids a quote per held symbol on every tick; /api/portfolios has the full mark-to-market.
+async function getBotEquity(bot, symbol, price) {
+  const ar = await dbQuery(`SELECT cash FROM bot_accounts WHERE bot=$1`, [bot]);
+  if (!ar.rows[0]) return null;
+  const pr = await dbQuery(`SELECT symbol, qty, avg_price FROM bot_positions WHERE bot=$1 AND qty <> 0`, [bot]);
+  let equity = Number(ar.rows[0].cash);
+  for (const p of pr.rows) equity += Number(p.qty) * (p.symbol === symbol ? price : Number(p.avg_price));
+  return equity;
+}
+
+function confidenceScale(confidence) {
+  // 50 -> 0.5x, 60 -> 1x, 70+ -> 1.5x
+  return Math.max(0.25, Math.min(1.5, (Number(confidence) - 50) / 20 + 0.5));
+}
+
+// Pure: returns { qty, dollars, reason, ... }; qty 0 means "don't trade"
+function computePositionSize(cfg, { equity, price, confidence, learnedP, volatilityPct, exitPlan }) {
+  const out = { mode: cfg.mode, equity: Number(equity.toFixed(2)), price };
+  let dollars = 0;
+
+  if (cfg.mode === "fixed_dollar") {
+    dollars = Number(cfg.dollars);
+    out.reason = `fixed $${dollars}`;
+  } else if (cfg.mode === "kelly") {
+    const p = learnedP ?? 0.5;
+    const b = exitPlan?.takeProfitPct > 0 && exitPlan?.stopLossPct > 0 ? exitPlan.takeProfitPct / exitPlan.stopLossPct : 1;
+    const kelly = p - (1 - p) / b;
+    out.kelly = Number(kelly.toFixed(4));
+    dollars = equity * Math.max(0, kelly) * Number(cfg.fraction);
+    out.reason = kelly > 0
+      ? `kelly f*=${kelly.toFixed(3)} (p=${p.toFixed(3)}, b=${b.toFixed(2)}) × ${cfg.fraction}`
+      : `kelly f*=${kelly.toFixed(3)} ≤ 0 (no edge at p=${p.toFixed(3)})`;
+  } else if (cfg.mode === "vol_target") {
+    const vol = Math.max(Number(cfg.volFloorPct), Math.abs(Number(volatilityPct || 0)));
+    out.volatilityPct = Number(vol.toFixed(3));
+    dollars = (equity * (Number(cfg.targetRiskPct) / 100)) / (vol / 100);
+    out.reason = `vol target ${cfg.targetRiskPct}% of equity / ${vol.toFixed(2)}% vol`;
+  } else {
+    dollars = equity * (Number(cfg.pct) / 100);
+    out.reason = `${cfg.pct}% of equity`;
+  }
+
+  if (cfg.scaleByConfidence) {
+    const k = confidenceScale(confidence);
+    dollars *= k;
+    out.confidenceScale = Number(k.toFixed(3));
+  }
+
+  const cap = equity * (Number(cfg.maxPct) / 100);
+  if (dollars > cap) {
+    dollars = cap;
+    out.capped = true;
+    out.reason += `, capped at ${cfg.maxPct}% of equity`;
+  }
+
+  const rawQty = price > 0 ? dollars / price : 0;
+  out.qty = cfg.fractional ? Number(rawQty.toFixed(4)) : Math.floor(rawQty);
+  out.dollars = Number((out.qty * price).toFixed(2));
+  if (!(out.qty > 0)) out.reason += ` → below 1 share at $${price}`;
+  return out;
+}
+
+async function sizeOrder({ bot, symbol, price, confidence, learnedP, volatilityPct, exitPlan }) {
+  const cfg = await getSizingConfig(bot);
+  const equity = await getBotEquity(bot, symbol, price);
+  if (equity === null) return { mode: cfg.mode, qty: 0, dollars: 0, reason: "no account" };
+  return computePositionSize(cfg, { equity, price, confidence, learnedP, volatilityPct, exitPlan });
+}
+
+// -----------------------------
+// Risk manager (bot orders carry risk: true; executeTrade checks them inside its transaction)
+// -----------------------------
+// Limits are % of current equity, with every position marked at its latest quote. Orders that
+// only shrink an existing position skip the size/exposure/daily-loss rules so a bot can always
+// de-risk; pause and trade count still apply. Breaching maxDrawdownPct (equity vs peak) pauses
+// the bot until it is resumed.
+const DEFAULT_RISK = {
+  maxPositionPct: 20,
+  maxGrossExposurePct: 80,
+  dailyLossLimitPct: 3,
+  maxTradesPerDay: 40,
+  maxDrawdownPct: 15,
+};
+
+async function getRiskConfig(bot) {
+  const s = (hasDb ? await getSetting("risk") : null) || {};
+  return { ...DEFAULT_RISK, ...(s.default || {}), ...(s.bots?.[bot] || {}) };
+}
+
+function marketDate(d = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone: MARKET_TZ }).format(d);
+}
+
+// Account-currency marks for every open position of a bot (quoted outside any transaction)
+async function riskMarks(bot) {
+  const pr = await dbQuery(`SELECT bot, symbol, qty FROM bot_positions WHERE bot=$1 AND qty <> 0`, [bot]);
+  const quoted = await quotePositions(pr.rows);
+  const marks = new Map();
+  for (const p of pr.rows) {
+    const px = quoted.get(`${p.bot}:${p.symbol}`)?.account;
+    if (px > 0) marks.set(p.symbol, px);
+  }
+  return marks;
+}
+
+// Everything the rules need. Positions are valued at marks (avg_price when unquoted), `symbol`
+// at `price`. persist stores the refreshed peak / start-of-day equity; only executeTrade does.
+async function getRiskState(db, bot, { marks = new Map(), symbol = null, price = 0, persist = false } = {}) {
+  const ar = await db.query(
+    `SELECT cash, peak_equity, day_start_equity, day_start_date, paused, paused_reason FROM bot_accounts WHERE bot=$1`,
+    [bot]
+  );
+  const a = ar.rows[0];
+  if (!a) return null;
+
+  const pr = await db.query(`SELECT symbol, qty, avg_price FROM bot_positions WHERE bot=$1 AND qty <> 0`, [bot]);
+  const values = new Map();
+  for (const p of pr.rows) {
+    const px = p.symbol === symbol ? price : marks.get(p.symbol) ?? Number(p.avg_price);
+    values.set(p.symbol, { qty: Number(p.qty), value: Number(p.qty) * px });
+  }
+  const equity = Number(a.cash) + [...values.values()].reduce((sum, p) => sum + p.value, 0);
+
+  const today = marketDate();
+  const peak = Math.max(Number(a.peak_equity || 0), equity);
+  const newDay = a.day_start_date !== today;
+  const dayStart = newDay || a.day_start_equity === null ? equity : Number(a.day_start_equity);
+  if (persist) {
+    await db.query(
+      `UPDATE bot_accounts SET peak_equity=$2, day_start_equity=$3, day_start_date=$4 WHERE bot=$1`,
+      [bot, peak, dayStart, today]
+    );
+  }
+
+  const tr = await db.query(
+    `
+    SELECT COUNT(*)::int AS n FROM bot_trades
+    WHERE bot=$1 AND status='filled' AND (ts AT TIME ZONE $2)::date = (NOW() AT TIME ZONE $2)::date
+  `,
+    [bot, MARKET_TZ]
+  );
+
+  return {
+    equity,
+    peak,
+    dayStart,
+    positions: values,
+    tradesToday: tr.rows[0].n,
+    paused: !!a.paused,
+    pausedReason: a.paused_reason,
+  };
+}
+
+// Pure: first rule that blocks the order, or null
+function evaluateRiskRules(cfg, state, { symbol, side, qty, price }) {
+  const pct = (x) => (state.equity > 0 ? (x / state.equity) * 100 : Infinity);
+  const pos = state.positions.get(symbol) || { qty: 0, value: 0 };
+  const delta = (side === "BUY" ? 1 : -1) * qty;
+  const newQty = pos.qty + delta;
+  const reducing = Math.abs(newQty) < Math.abs(pos.qty) && Math.sign(newQty) !== -Math.sign(pos.qty);
+
+  if (state.paused) return { rule: "paused", detail: state.pausedReason || "Bot is paused" };
+
+  const drawdown = state.peak > 0 ? ((state.peak - state.equity) / state.peak) * 100 : 0;
+  if (drawdown >= cfg.maxDrawdownPct) {
+    return { rule: "max_drawdown", detail: `Drawdown ${drawdown.toFixed(2)}% ≥ ${cfg.maxDrawdownPct}%`, pause: true };
+  }
+
+  if (state.tradesToday >= cfg.maxTradesPerDay) {
+    return { rule: "max_trades_per_day", detail: `${state.tradesToday} trades today (limit ${cfg.maxTradesPerDay})` };
+  }
+
+  if (reducing) return null;
+
+  const dayPnlPct = state.dayStart > 0 ? ((state.equity - state.dayStart) / state.dayStart) * 100 : 0;
+  if (-dayPnlPct >= cfg.dailyLossLimitPct) {
+    return { rule: "daily_loss_limit", detail: `Down ${(-dayPnlPct).toFixed(2)}% today (limit ${cfg.dailyLossLimitPct}%)` };
+  }
+
+  const newPosPct = pct(Math.abs(newQty * price));
+  if (newPosPct > cfg.maxPositionPct) {
+    return { rule: "max_position", detail: `${symbol} would be ${newPosPct.toFixed(2)}% of equity (limit ${cfg.maxPositionPct}%)` };
+  }
+
+  let gross = Math.abs(newQty * price);
+  for (const [s, p] of state.positions) if (s !== symbol) gross += Math.abs(p.value);
+  const grossPct = pct(gross);
+  if (grossPct > cfg.maxGrossExposurePct) {
+    return { rule: "max_gross_exposure", detail: `Gross exposure would be ${grossPct.toFixed(2)}% (limit ${cfg.maxGrossExposurePct}%)` };
+  }
+
+  return null;
+}
+
+async function pauseBot(bot, reason) {
+  await dbQuery(
+    `UPDATE bot_accounts SET paused=TRUE, paused_reason=$2, paused_at=NOW(), updated_at=NOW() WHERE bot=$1 AND NOT paused`,
+    [bot, reason]
+  );
+  await emitEvent("bot_paused", { bot, reason });
+}
+
+// Inside executeTrade's transaction, after the account row is locked
+async function checkRisk(db, order, marks) {
+  const state = await getRiskState(db, order.bot, { marks, symbol: order.symbol, price: order.price, persist: true });
+  if (!state) return { rule: "no_account", detail: "No bot account" };
+  const block = evaluateRiskRules(await getRiskConfig(order.bot), state, { ...order, qty: Number(order.qty) });
+  if (block?.pause) {
+    await db.query(
+      `UPDATE bot_accounts SET paused=TRUE, paused_reason=$2, paused_at=NOW(), updated_at=NOW() WHERE bot=$1 AND NOT paused`,
+      [order.bot, `Auto-paused: ${block.detail}`]
+    );
+  }
+  return block;
+}
+
+// Events for a block once the transaction has committed; an already-paused bot is not news
+async function reportRiskBlock(order, block) {
+  if (block.pause) await emitEvent("bot_paused", { bot: order.bot, reason: `Auto-paused: ${block.detail}` });
+  if (block.rule === "paused") return;
+  await emitEvent("risk_block", { bot: order.bot, symbol: order.symbol, side: order.side, qty: order.qty, rule: block.rule, detail: block.detail });
+}
+
+// -----------------------------
+// Bot management: create / pause / resume / liquidate / reset
+// -----------------------------
+const BOT_ID_RE = /^[a-z0-9_]{2,40}$/;
+
+function cleanBotParams(params) {
+  if (params === undefined || params === null) return {};
+  if (typeof params !== "object" || Array.isArray(params)) return null;
+  return JSON.parse(JSON.stringify(params));
+}
+
+async function listBots() {
+  const portfolios = await getBotPortfolios();
+  const loaded = new Map(BOTS.map((b) => [b.bot, b]));
+  return portfolios.map((p) => {
+    const b = loaded.get(p.bot);
+    return { ...p, loaded: !!b, horizon: b?.horizon || null, params: b?.params || {} };
+  });
+}
+
+async function createBot({ bot, strategy, label, params, cash = 100000, goal = 150000, currency = "USD" }) {
+  if (!BOT_ID_RE.test(bot)) return { error: "bot must match [a-z0-9_]{2,40}" };
+  const s = STRATEGIES.get(strategy);
+  if (!s) return { error: `Unknown strategy ${strategy}` };
+  const cleanParams = cleanBotParams(params);
+  if (!cleanParams) return { error: "params must be an object" };
+  if (!(Number(cash) > 0) || !(Number(goal) > 0)) return { error: "cash and goal must be > 0" };
+  currency = String(currency).toUpperCase();
+  if (currency !== "USD" && !(await getFxRate(currency, "USD"))) return { error: `No FX rate for currency ${currency}` };
+
+  const r = await dbQuery(
+    `
+    INSERT INTO bot_accounts(bot, cash, goal, strategy, label, params, currency)
+    VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7)
+    ON CONFLICT (bot) DO NOTHING
+    RETURNING bot
+  `,
+    [bot, Number(cash), Number(goal), s.id, label || s.label, JSON.stringify(cleanParams), currency]
+  );
+  if (!r.rows[0]) return { error: `Bot ${bot} already exists`, conflict: true };
+
+  await ensureWeights(bot, ["bias", ...s.features]);
+  const b = { bot, strategy: s.id, label: label || s.label, horizon: s.horizon, params: cleanParams };
+  BOTS.push(b);
+  await emitEvent("bot_created", { bot, strategy: s.id, params: cleanParams, currency });
+  return { bot: b };
+}
+
+// Label, params and goal can change in place; strategy and cash cannot (use reset for cash)
+async function updateBot(bot, { label, params, goal }) {
+  const sets = [];
+  const vals = [bot];
+  if (label !== undefined) {
+    vals.push(String(label).slice(0, 80));
+    sets.push(`label=$${vals.length}`);
+  }
+  if (params !== undefined) {
+    const cleanParams = cleanBotParams(params);
+    if (!cleanParams) return { error: "params must be an object" };
+    vals.push(JSON.stringify(cleanParams));
+    sets.push(`params=$${vals.length}::jsonb`);
+  }
+  if (goal !== undefined) {
+    if (!(Number(goal) > 0)) return { error: "goal must be > 0" };
+    vals.push(Number(goal));
+    sets.push(`goal=$${vals.length}`);
+  }
+  if (!sets.length) return { error: "Nothing to update" };
+
+  const r = await dbQuery(
+    `UPDATE bot_accounts SET ${sets.join(", ")}, updated_at=NOW() WHERE bot=$1 RETURNING bot, label, params, goal`,
+    vals
+  );
+  if (!r.rows[0]) return { error: "Unknown bot", notFound: true };
+
+  const b = BOTS.find((x) => x.bot === bot);
+  if (b) {
+    if (r.rows[0].label) b.label = r.rows[0].label;
+    b.params = r.rows[0].params || {};
+  }
+  await emitEvent("bot_updated", { bot, label: r.rows[0].label, params: r.rows[0].params, goal: Number(r.rows[0].goal) });
+  return { bot: r.rows[0] };
+}
+
+// Resuming re-baselines peak + day-start equity to now; otherwise the same
+// drawdown / daily-loss rule would pause the bot again on its next order.
+async function resumeBot(bot) {
+  const marks = await riskMarks(bot);
+  const st = await dbTx((db) => getRiskState(db, bot, { marks }));
+  if (!st) return { error: "Unknown bot", notFound: true };
+  await dbQuery(
+    `
+    UPDATE bot_accounts
+    SET paused=FALSE, paused_reason=NULL, paused_at=NULL, peak_equity=$2, day_start_equity=$2, updated_at=NOW()
+    WHERE bot=$1
+  `,
+    [bot, st.equity]
+  );
+  await emitEvent("bot_resumed", { bot, equity: st.equity });
+  return { bot, paused: false, equity: st.equity };
+}
 
-  const ar = await dbQuery(`SELECT cash FROM bot_accounts WHERE bot=$1`, [bot]);
-  if (!ar.rows[0]) return;
-  let cash = Number(ar.rows[0].cash);
+// Cancel the bot's working orders and close every position at the current quote
+async function liquidateBot(bot, { reason = "Manual liquidation" } = {}) {
+  const ar = await dbQuery(`SELECT bot FROM bot_accounts WHERE bot=$1`, [bot]);
+  if (!ar.rows[0]) return { error: "Unknown bot", notFound: true };
 
-  const pr = await dbQuery(
-    `SELECT qty, avg_price FROM bot_positions WHERE bot=$1 AND symbol=$2`,
-    [bot, symbol]
+  const oc = await dbQuery(
+    `UPDATE bot_orders SET status='cancelled', reject_reason='liquidation', updated_at=NOW() WHERE bot=$1 AND status IN ('open','triggered')`,
+    [bot]
   );
 
-  let curQty = pr.rows[0] ? Number(pr.rows[0].qty) : 0;
-  let avgPrice = pr.rows[0] ? Number(pr.rows[0].avg_price) : 0;
+  const pr = await dbQuery(`SELECT symbol, qty FROM bot_positions WHERE bot=$1 AND qty <> 0`, [bot]);
+  const quotes = await getStockPrices(pr.rows.map((p) => p.symbol));
+  const priceOf = new Map(quotes.filter((q) => !q.error).map((q) => [q.symbol, Number(q.price)]));
+  const b = BOTS.find((x) => x.bot === bot);
 
-  if (side === "BUY" && qty > 0) {
-    const cost = qty * price;
-    if (cash < cost) return;
-    const newQty = curQty + qty;
-    const newAvg = newQty === 0 ? 0 : (curQty * avgPrice + qty * price) / newQty;
-    cash -= cost;
-    curQty = newQty;
-    avgPrice = newAvg;
+  const results = [];
+  for (const p of pr.rows) {
+    const qty = Number(p.qty);
+    const price = priceOf.get(p.symbol);
+    if (!price) {
+      results.push({ symbol: p.symbol, status: "skipped", reason: "no_quote" });
+      continue;
+    }
+    const out = await executeTrade({
+      bot,
+      strategy: b?.strategy || bot,
+      symbol: p.symbol,
+      side: qty > 0 ? "SELL" : "BUY",
+      qty: Math.abs(qty),
+      price,
+      rationale: reason,
+      confidence: 99,
+      horizon: b?.horizon || "short",
+      marketOpen: marketForSymbol(p.symbol).open,
+      features: { liquidation: true },
+      force: true,
+    });
+    results.push({ symbol: p.symbol, status: out.status, reason: out.reason, qty: out.qty, price, realized: out.realized });
   }
 
-  if (side === "SELL" && qty > 0) {
-    const sellQty = Math.min(curQty, qty);
-    const proceeds = sellQty * price;
-    cash += proceeds;
-    curQty = curQty - sellQty;
-    if (curQty === 0) avgPrice = 0;
-  }
+  await emitEvent("bot_liquidated", { bot, ordersCancelled: oc.rowCount, closed: results.filter((x) => x.status === "filled").length });
+  return { bot, ordersCancelled: oc.rowCount, results };
+}
 
-  await dbQuery(`UPDATE bot_accounts SET cash=$2, updated_at=NOW() WHERE bot=$1`, [bot, cash]);
+// Back to a fresh bankroll: trades + lot closes are archived, positions/lots dropped,
+// working orders cancelled and risk state cleared. Weights are kept unless asked.
+async function resetBot(bot, { cash = 100000, goal, resetWeights = false } = {}) {
+  if (!(Number(cash) > 0)) return { error: "cash must be > 0" };
+  if (goal !== undefined && !(Number(goal) > 0)) return { error: "goal must be > 0" };
 
-  await dbQuery(
-    `
-    INSERT INTO bot_positions(bot, symbol, qty, avg_price, updated_at)
-    VALUES ($1,$2,$3,$4,NOW())
-    ON CONFLICT (bot, symbol)
-    DO UPDATE SET qty=$3, avg_price=$4, updated_at=NOW()
-  `,
-    [bot, symbol, curQty, avgPrice]
-  );
-}
+  if (resetWeights) await snapshotModel(bot, { reason: "pre_reset", label: "before bot reset" });
 
-// -----------------------------
-// Bot decisions
-// -----------------------------
-function decideBase({ bot, avgSent, changePercent }) {
-  if (bot === "sp500_long") {
-    if (avgSent > 0.15) return { signal: "BUY", confidence: 62, why: "Positive news drift (long horizon)" };
-    if (avgSent < -0.2) return { signal: "HOLD", confidence: 58, why: "Negative sentiment; long bot avoids churn" };
-    return { signal: "HOLD", confidence: 55, why: "No long-term edge detected" };
-  }
-  if (bot === "market_swing") {
-    if (avgSent > 0.05 && changePercent < 0) return { signal: "BUY", confidence: 64, why: "Positive news + dip = swing entry" };
-    if (avgSent < -0.1 && changePercent > 0) return { signal: "SELL", confidence: 63, why: "Negative news + pop = exit/reversal" };
-    return { signal: "HOLD", confidence: 54, why: "No swing setup" };
-  }
-  if (bot === "day_trade") {
-    if (Math.abs(changePercent) > 0.7) {
-      const dir = changePercent < 0 ? "BUY" : "SELL";
-      return { signal: dir, confidence: 60, why: "Short-term volatility reaction" };
+  const out = await dbTx(async (db) => {
+    const ar = await db.query(`SELECT bot FROM bot_accounts WHERE bot=$1 FOR UPDATE`, [bot]);
+    if (!ar.rows[0]) return null;
+
+    const at = await db.query(
+      `INSERT INTO bot_archive(bot, kind, data) SELECT bot, 'trade', to_jsonb(t) FROM bot_trades t WHERE bot=$1`,
+      [bot]
+    );
+    const ac = await db.query(
+      `INSERT INTO bot_archive(bot, kind, data) SELECT bot, 'lot_close', to_jsonb(c) FROM bot_lot_closes c WHERE bot=$1`,
+      [bot]
+    );
+    await db.query(`DELETE FROM bot_lot_closes WHERE bot=$1`, [bot]);
+    await db.query(`DELETE FROM bot_lots WHERE bot=$1`, [bot]);
+    await db.query(`DELETE FROM bot_positions WHERE bot=$1`, [bot]);
+    await db.query(`DELETE FROM bot_trades WHERE bot=$1`, [bot]);
+    await db.query(
+      `UPDATE bot_orders SET status='cancelled', reject_reason='bot_reset', updated_at=NOW() WHERE bot=$1 AND status IN ('open','triggered')`,
+      [bot]
+    );
+    await db.query(
+      `
+      UPDATE bot_accounts
+      SET cash=$2, goal=COALESCE($3, goal), realized_pnl=0, borrow_fees=0,
+          peak_equity=NULL, day_start_equity=NULL, day_start_date=NULL,
+          paused=FALSE, paused_reason=NULL, paused_at=NULL, reset_at=NOW(), updated_at=NOW()
+      WHERE bot=$1
+    `,
+      [bot, Number(cash), goal === undefined ? null : Number(goal)]
+    );
+    if (resetWeights) {
+      await db.query(
+        `
+        INSERT INTO model_weight_history(strategy, variant, feature, old_weight, new_weight, reason)
+        SELECT strategy, 'live', feature, weight, 0, 'bot_reset' FROM model_weights WHERE strategy=$1 AND weight <> 0
+      `,
+        [bot]
+      );
+      await db.query(`UPDATE model_weights SET weight=0, updated_at=NOW() WHERE strategy=$1`, [bot]);
     }
-    return { signal: "HOLD", confidence: 53, why: "Range noise" };
-  }
-  if (bot === "news_only") {
-    if (avgSent > 0.18) return { signal: "BUY", confidence: 66, why: "Trades strictly on positive news cluster" };
-    if (avgSent < -0.18) return { signal: "SELL", confidence: 66, why: "Trades strictly on negative news cluster" };
-    return { signal: "HOLD", confidence: 55, why: "News signal not strong enough" };
-  }
-  return { signal: "HOLD", confidence: 50, why: "Default" };
+
+    return { archivedTrades: at.rowCount, archivedCloses: ac.rowCount };
+  });
+  if (!out) return { error: "Unknown bot", notFound: true };
+
+  await emitEvent("bot_reset", { bot, cash: Number(cash), resetWeights: !!resetWeights, ...out });
+  return { bot, cash: Number(cash), resetWeights: !!resetWeights, ...out };
 }
 
 // -----------------------------
 // Fight a symbol (learn + optionally trade)
 // -----------------------------
 async function fightSymbol(symbol) {
-  const market = isMarketOpen();
+  const market = marketForSymbol(symbol);
   const tradesAllowed = market.open || !NEWS_ONLY_WHEN_CLOSED;
 
   const priceInfo = await getStockPrice(symbol);
 
-  // IMPORTANT: even if general news is broken, we still learn from price changes
+  // IMPORTANT: even if news is broken, we still learn from price changes
+  let news = { provider: "error", avgSent: 0, newsCount: 0, cached: false };
+  try {
+    news = await getSymbolSentiment(symbol);
+  } catch {}
+
+  let bars = [];
+  try {
+    await recordQuoteBar(priceInfo);
+    bars = await getBars(symbol);
+  } catch {}
+
   const features = {
-    avgSent: 0,
-    changePercent: Number((priceInfo.changePercent ?? 0).toFixed(3)),
+    ...computeFeatures({ bars, quote: priceInfo, news }),
     price: Number(priceInfo.price),
+    bars: bars.length,
     priceProvider: priceInfo.provider,
-    newsProvider: NEWSDATA_KEY || NEWSAPI_KEY ? "live" : "mock",
+    newsProvider: news.provider,
+    newsCount: news.newsCount,
+    newsCached: news.cached,
     marketOpen: market.open,
+    venue: market.venue,
+    currency: market.currency,
   };
 
+  const evalCfg = await getEvalConfig();
   const bots = [];
   for (const b of BOTS) {
-    const base = decideBase({ bot: b.bot, avgSent: features.avgSent, changePercent: features.changePercent });
+    const base = await decideStrategy(b, features, { symbol, market });
     const adj = await applyLearningAdjust(b.bot, base, features);
 
     bots.push({
       strategy: b.bot,
+      plugin: b.strategy,
       label: b.label,
       signal: adj.signal,
       horizon: b.horizon,
@@ -537,11 +3438,9 @@ async function fightSymbol(symbol) {
       baseConfidence: base.confidence,
       confidence: adj.confidence,
       learnedP: adj.learnedP,
+      shadowP: adj.shadowP,
     });
 
-    const speed = (await getSetting("learning_speed")) || { mode: "realtime", evalAfterSec: 3600 };
-    const evalAfterSec = speed.mode === "accelerated" ? 60 : Number(speed.evalAfterSec || 3600);
-
     await logLearningSample({
       bot: b.bot,
       strategy: b.bot,
@@ -552,84 +3451,1143 @@ async function fightSymbol(symbol) {
       features,
       rationale: adj.why,
       confidence: adj.confidence,
-      evalAfterSec,
+      evalWindows: evalWindowsFor(evalCfg, b.bot, b.horizon),
+      learnedP: adj.learnedP,
+      shadowP: adj.shadowP,
+    });
+  }
+
+  // winner
+  const sorted = [...bots].sort((a, b) => b.confidence - a.confidence);
+  const winner = sorted[0]?.strategy || null;
+
+  // execute top N trades if allowed
+  const trades = [];
+  if (hasDb && tradesAllowed) {
+    for (const bot of sorted.slice(0, runnerConfig.tradeTop)) {
+      if (bot.signal === "HOLD") continue;
+
+      // BUY entries carry the horizon's take-profit/stop-loss bracket; SELLs close at market
+      const exitPlan = await getExitPlan(bot.horizon);
+      const bracket = bot.signal === "BUY" ? exitPlan : null;
+      // Sizing and risk work in the bot's account currency; the order itself keeps the quote's
+      const acctPrice = await toAccountPrice(bot.strategy, symbol, features.price);
+      if (acctPrice === null) {
+        trades.push({ bot: bot.strategy, side: bot.signal, qty: 0, status: "skipped", reason: "no_fx_rate" });
+        continue;
+      }
+      const sizing = await sizeOrder({
+        bot: bot.strategy,
+        symbol,
+        price: acctPrice,
+        confidence: bot.confidence,
+        learnedP: bot.learnedP,
+        volatilityPct: features.atr_14_pct ?? features.changePercent,
+        exitPlan,
+      });
+      if (!(sizing.qty > 0)) {
+        trades.push({ bot: bot.strategy, side: bot.signal, qty: 0, status: "skipped", reason: sizing.reason, sizing });
+        continue;
+      }
+      const qty = sizing.qty;
+
+      // Paused bots are skipped up front so they leave no order/trade rows every tick
+      const pa = await dbQuery(`SELECT paused, paused_reason FROM bot_accounts WHERE bot=$1`, [bot.strategy]);
+      if (pa.rows[0]?.paused) {
+        trades.push({ bot: bot.strategy, side: bot.signal, qty: 0, status: "risk_blocked", reason: `paused: ${pa.rows[0].paused_reason || "Bot is paused"}`, sizing });
+        continue;
+      }
+
+      const placed = await placeOrder(
+        {
+          bot: bot.strategy,
+          strategy: bot.strategy,
+          symbol,
+          side: bot.signal,
+          type: "market",
+          tif: "ioc",
+          qty,
+          bracket,
+          rationale: bot.rationale,
+          confidence: bot.confidence,
+          horizon: bot.horizon,
+          features: { ...features, sizing },
+          risk: true,
+        },
+        { marketOpen: market.open, price: features.price }
+      );
+      const risk = placed.exec?.risk;
+      trades.push({
+        bot: bot.strategy,
+        side: bot.signal,
+        qty: placed.exec?.qty ?? 0,
+        status: risk ? "risk_blocked" : placed.status,
+        reason: risk ? `${risk.rule}: ${risk.detail}` : placed.reason ?? null,
+        orderId: placed.order?.id ?? null,
+        sizing,
+      });
+    }
+  }
+
+  // Grading moves weights, so only the runner leader does it
+  const learningEval = leader.isLeader ? await evaluateDueLearning() : { evaluated: 0 };
+
+  return {
+    symbol,
+    market,
+    tradesAllowed,
+    features,
+    bots,
+    winner,
+    trades,
+    learningEvaluated: learningEval.evaluated,
+  };
+}
+
+// -----------------------------
+// Runner: priority scheduler
+// -----------------------------
+// Each tick settles orders and margin once, then starts fights for the highest-priority
+// symbols until `concurrency` are in flight; a symbol already in flight is never started again.
+// Priority is a weighted sum of news (articles seen on its last fight), volatility (last move
+// or ATR %), position (a bot holds it or has an open order) and staleness (time since its
+// last fight relative to one full rotation). Setting "runner" overrides the env defaults.
+// While the runner is paused or stopped the leader keeps ticking for settlement only, so
+// stops, take-profits and margin calls still fire; no fights start.
+const DEFAULT_RUNNER = {
+  enabled: RUNNER_ENABLED,
+  paused: false,
+  intervalSec: RUNNER_INTERVAL_SEC,
+  tradeTop: RUNNER_TRADE_TOP,
+  concurrency: 2,
+  weights: { news: 1, volatility: 1, position: 1.5, staleness: 2 },
+};
+
+let runnerOverrides = {};
+let runnerConfig = { ...DEFAULT_RUNNER };
+const runner = {
+  timer: null,
+  ticking: false,
+  ticks: 0,
+  lastTickAt: null,
+  lastSettleAt: null,
+  inFlight: new Map(), // symbol -> started ms (runner and manual fights)
+  lastFight: new Map(), // symbol -> { at, newsCount, volatilityPct }
+};
+
+function mergeRunnerConfig(o) {
+  return { ...DEFAULT_RUNNER, ...o, weights: { ...DEFAULT_RUNNER.weights, ...(o.weights || {}) } };
+}
+
+async function loadRunnerConfig() {
+  if (hasDb) runnerOverrides = (await getSetting("runner")) || {};
+  runnerConfig = mergeRunnerConfig(runnerOverrides);
+  return runnerConfig;
+}
+
+async function saveRunnerConfig(patch, audit = null) {
+  runnerOverrides = { ...runnerOverrides, ...patch, weights: { ...(runnerOverrides.weights || {}), ...(patch.weights || {}) } };
+  if (hasDb) {
+    const version = await setSetting("runner", runnerOverrides, audit);
+    await emitEvent("settings_changed", { key: "runner", version, by: audit?.actor || null });
+  }
+  runnerConfig = mergeRunnerConfig(runnerOverrides);
+  return runnerConfig;
+}
+
+async function rankSymbols(list) {
+  const active = new Set();
+  if (hasDb && list.length) {
+    const r = await dbQuery(
+      `
+      SELECT symbol FROM bot_positions WHERE qty <> 0 AND symbol = ANY($1)
+      UNION
+      SELECT symbol FROM bot_orders WHERE status IN ('open','triggered') AND symbol = ANY($1)
+    `,
+      [list]
+    );
+    for (const x of r.rows) active.add(x.symbol);
+  }
+
+  const w = runnerConfig.weights;
+  const rotationMs = Math.max(1, list.length / Math.max(1, runnerConfig.concurrency)) * runnerConfig.intervalSec * 1000;
+  const now = Date.now();
+  return list
+    .map((symbol) => {
+      const last = runner.lastFight.get(symbol);
+      const parts = {
+        news: last ? Math.min(1, last.newsCount / 10) : 0,
+        volatility: last ? Math.min(1, last.volatilityPct / 5) : 0,
+        position: active.has(symbol) ? 1 : 0,
+        staleness: last ? Math.min(2, (now - last.at) / rotationMs) : 2,
+      };
+      const priority = Object.entries(parts).reduce((sum, [k, v]) => sum + (w[k] || 0) * v, 0);
+      return {
+        symbol,
+        priority: Number(priority.toFixed(3)),
+        parts,
+        inFlight: runner.inFlight.has(symbol),
+        lastFightAt: last ? new Date(last.at).toISOString() : null,
+      };
+    })
+    .sort((a, b) => b.priority - a.priority || a.symbol.localeCompare(b.symbol));
+}
+
+async function runFight(symbol) {
+  runner.inFlight.set(symbol, Date.now());
+  try {
+    await emitEvent("carousel_tick", { symbol, market: marketForSymbol(symbol) });
+    const out = await fightSymbol(symbol);
+    runner.lastFight.set(symbol, {
+      at: Date.now(),
+      newsCount: Number(out.features.newsCount || 0),
+      volatilityPct: Math.abs(Number(out.features.atr_14_pct ?? out.features.changePercent ?? 0)),
+    });
+    await emitEvent("bot_fight", {
+      symbol,
+      winner: out.winner,
+      tradesAllowed: out.tradesAllowed,
+      newsProvider: out.features.newsProvider,
+      avgSent: out.features.avgSent,
     });
+    if (out.learningEvaluated) {
+      await emitEvent("learning_evaluated", { evaluated: out.learningEvaluated });
+    }
+    return { symbol, winner: out.winner, trades: out.trades.length };
+  } catch (e) {
+    // Still counts as a visit so a failing symbol doesn't jump the queue every tick
+    runner.lastFight.set(symbol, { newsCount: 0, volatilityPct: 0, ...runner.lastFight.get(symbol), at: Date.now() });
+    await emitEvent("runner_error", { symbol, error: e.message || String(e) }).catch(() => {});
+    return { symbol, error: e.message || String(e) };
+  } finally {
+    runner.inFlight.delete(symbol);
+  }
+}
+
+// wait: resolve after the started fights finish (used by step); only: rank just this symbol;
+// settleOnly: orders and margin, no fights
+async function runnerTick({ wait = false, only = null, settleOnly = false } = {}) {
+  if (runner.ticking) return { skipped: "tick in progress", picked: [] };
+  runner.ticking = true;
+  try {
+    try {
+      const orders = await processOpenOrders();
+      if (orders.filled || orders.expired) await emitEvent("orders_processed", orders);
+    } catch (e) {
+      await emitEvent("runner_error", { error: `orders: ${e.message || String(e)}` });
+    }
+
+    try {
+      await runMarginMaintenance();
+    } catch (e) {
+      await emitEvent("runner_error", { error: `margin: ${e.message || String(e)}` });
+    }
+    runner.lastSettleAt = new Date().toISOString();
+    if (settleOnly) return { picked: [] };
+
+    const ranked = await rankSymbols(only ? [only] : await getUniverseList());
+    const slots = Math.max(0, runnerConfig.concurrency - runner.inFlight.size);
+    const picked = ranked.filter((x) => !x.inFlight).slice(0, slots);
+
+    runner.ticks++;
+    runner.lastTickAt = new Date().toISOString();
+    const state = {
+      ticks: runner.ticks,
+      lastTick: runner.lastTickAt,
+      lastSymbol: picked[0]?.symbol || null,
+      started: picked.map((x) => x.symbol),
+      inFlight: [...runner.inFlight.keys()],
+    };
+    await setRunnerState(state);
+    await emitEvent("runner_state", { ...state, market: isMarketOpen(), nextSymbol: ranked.find((x) => !x.inFlight && !picked.includes(x))?.symbol || null });
+
+    const fights = picked.map((x) => runFight(x.symbol));
+    if (wait) return { picked, results: await Promise.all(fights) };
+    return { picked };
+  } finally {
+    runner.ticking = false;
+  }
+}
+
+// setTimeout chain so interval changes apply on the next tick
+function scheduleRunner(delayMs = Math.max(2, runnerConfig.intervalSec) * 1000) {
+  clearTimeout(runner.timer);
+  runner.timer = null;
+  if (!leader.isLeader) return;
+  runner.timer = setTimeout(async () => {
+    await runnerTick({ settleOnly: !runnerConfig.enabled || runnerConfig.paused }).catch(() => {});
+    scheduleRunner();
+  }, delayMs);
+}
+
+async function getRunnerStatus() {
+  const list = await getUniverseList();
+  const queue = await rankSymbols(list);
+  const now = Date.now();
+  return {
+    enabled: runnerConfig.enabled,
+    paused: runnerConfig.paused,
+    running: runnerConfig.enabled && !runnerConfig.paused && (!!runner.timer || runner.ticking),
+    settling: !!runner.timer || runner.ticking,
+    lastSettleAt: runner.lastSettleAt,
+    intervalSec: runnerConfig.intervalSec,
+    tradeTop: runnerConfig.tradeTop,
+    concurrency: runnerConfig.concurrency,
+    weights: runnerConfig.weights,
+    ticks: runner.ticks,
+    lastTickAt: runner.lastTickAt,
+    inFlight: [...runner.inFlight].map(([symbol, t]) => ({ symbol, runningMs: now - t })),
+    queue: queue.slice(0, 10),
+    nextSymbol: queue.find((x) => !x.inFlight)?.symbol || null,
+    leader: await getLeaderStatus(),
+  };
+}
+
+// -----------------------------
+// Leader election + event fan-out across replicas
+// -----------------------------
+// One dedicated connection per instance holds pg_try_advisory_lock (session-scoped, so the lock
+// dies with the connection) and LISTENs on "bot_events". Every heartbeat a follower retries the
+// lock and the leader proves its session is alive by writing runner_leader; a failed heartbeat
+// drops the connection and leadership, and another instance takes over on its next attempt.
+// Settings saved through any instance emit "settings_changed", which the others apply to their
+// caches (venues, FX, universe, runner); a reconnect reloads them all in case one was missed.
+// Without a database there is nothing to coordinate and the single instance leads.
+const EVENTS_CHANNEL = "bot_events";
+const leader = { isLeader: !hasDb, since: hasDb ? null : new Date().toISOString(), client: null, timer: null };
+
+async function connectCoordinator() {
+  const client = await dbConnect();
+  client.on("error", (e) => dropCoordinator(e).catch(() => {}));
+  client.on("notification", (msg) => relayEvent(msg.payload).catch(() => {}));
+  await client.query(`LISTEN ${EVENTS_CHANNEL}`);
+  leader.client = client;
+  await reloadCachedSettings();
+}
+
+async function reloadCachedSettings() {
+  for (const def of Object.values(SETTINGS)) await def.apply?.();
+}
+
+async function dropCoordinator(err) {
+  const client = leader.client;
+  leader.client = null;
+  if (client) client.end().catch(() => {});
+  if (leader.isLeader) await stepDown(err?.message || "connection lost");
+}
+
+async function becomeLeader() {
+  leader.isLeader = true;
+  leader.since = new Date().toISOString();
+  await leader.client.query(
+    `
+    INSERT INTO runner_leader(id, instance, acquired_at, heartbeat_at) VALUES ('main', $1, NOW(), NOW())
+    ON CONFLICT (id) DO UPDATE SET instance=$1, acquired_at=NOW(), heartbeat_at=NOW()
+  `,
+    [INSTANCE_ID]
+  );
+  await emitEvent("leader_elected", { instance: INSTANCE_ID });
+  await loadRunnerConfig();
+  scheduleRunner(0);
+}
+
+async function stepDown(reason) {
+  leader.isLeader = false;
+  leader.since = null;
+  scheduleRunner();
+  await emitEvent("leader_lost", { instance: INSTANCE_ID, reason }).catch(() => {});
+}
+
+async function leaderHeartbeat() {
+  try {
+    if (!leader.client) await connectCoordinator();
+    if (!leader.isLeader) {
+      const r = await leader.client.query(`SELECT pg_try_advisory_lock(hashtext($1)) AS ok`, [LEADER_LOCK_KEY]);
+      if (r.rows[0].ok) await becomeLeader();
+      return;
+    }
+    await leader.client.query(`UPDATE runner_leader SET heartbeat_at=NOW() WHERE id='main' AND instance=$1`, [INSTANCE_ID]);
+    // Controls may have been changed through another instance's API
+    const before = runnerConfig;
+    await loadRunnerConfig();
+    if (before.enabled !== runnerConfig.enabled || before.paused !== runnerConfig.paused) scheduleRunner(0);
+  } catch (e) {
+    await dropCoordinator(e);
+  }
+}
+
+function startLeaderElection() {
+  if (!hasDb) return scheduleRunner(0);
+  setInterval(() => {
+    if (!leader.isLeader) return;
+    pruneEvents()
+      .then((out) => out.deleted && emitEvent("events_pruned", out))
+      .catch(() => {});
+    pruneWeightHistory()
+      .then((out) => out.deleted && emitEvent("weight_history_pruned", out))
+      .catch(() => {});
+  }, Math.max(60, EVENT_RETENTION_EVERY_SEC) * 1000);
+  leader.timer = setInterval(() => leaderHeartbeat().catch(() => {}), Math.max(1, LEADER_HEARTBEAT_SEC) * 1000);
+  return leaderHeartbeat();
+}
+
+async function getLeaderStatus() {
+  const out = { instance: INSTANCE_ID, isLeader: leader.isLeader, since: leader.since, leaderInstance: leader.isLeader ? INSTANCE_ID : null, heartbeatAt: null };
+  if (!hasDb) return out;
+  const r = await dbQuery(`SELECT instance, heartbeat_at FROM runner_leader WHERE id='main'`);
+  if (r.rows[0]) Object.assign(out, { leaderInstance: r.rows[0].instance, heartbeatAt: r.rows[0].heartbeat_at });
+  return out;
+}
+
+// Notifications carry the whole event when it fits in pg_notify's 8000-byte limit, else just the id
+async function relayEvent(raw) {
+  const n = JSON.parse(raw);
+  if (n.origin === INSTANCE_ID) return;
+  let m = n.type ? { id: Number(n.id), type: n.type, payload: n.payload, ts: new Date(n.ts).toISOString() } : null;
+  if (!m) {
+    const r = await dbQuery(`SELECT id, type, payload, ts FROM events WHERE id=$1`, [n.id]);
+    if (!r.rows[0]) return;
+    m = eventMessage(r.rows[0]);
+  }
+  await applyRemoteEvent(m).catch(() => {});
+  wsBroadcast(m);
+}
+
+// Another instance changed something this one caches
+async function applyRemoteEvent(m) {
+  if (m.type === "settings_changed" && Object.hasOwn(SETTINGS, m.payload?.key)) await SETTINGS[m.payload.key].apply?.();
+  if (m.type === "api_key_revoked") dropKeyAuth(Number(m.payload?.id));
+}
+
+// -----------------------------
+// WebSocket
+// -----------------------------
+// Protocol v1. Server -> client: { v, type, id?, ts, payload }; id is events.id for stored events.
+// Client -> server ops:
+//   { op: "subscribe" | "unsubscribe", topics: ["*", "type:bot_fight", "symbol:AAPL", "bot:day_trade"] }
+//   { op: "resume", lastId }  replays stored events after lastId that match the subscriptions,
+//                            a page at a time until caught up, then sends replay_done
+//   { op: "ping" }            answered with "pong"
+// A client with no subscriptions gets everything (what pre-v1 clients expect). The same
+// subscribe/resume can be given up front as /ws?topics=a,b&lastId=123.
+const WS_PROTOCOL = 1;
+const WS_PING_SEC = Number(process.env.WS_PING_SEC || 30);
+const WS_REPLAY_PAGE = Number(process.env.WS_REPLAY_PAGE || 500); // events read per replay query
+const TOPIC_RE = /^(\*|(type|symbol|bot):[A-Za-z0-9_.:-]{1,40})$/;
+
+let wss = null;
+const wsClients = new Set();
+const sseClients = new Set(); // /api/events/stream; same topics/replay fields as WS clients
+let lastEventId = 0; // highest events.id broadcast here, sent in hello as a resume point
+
+function eventMessage(row) {
+  return { id: Number(row.id), type: row.type, payload: row.payload, ts: new Date(row.ts).toISOString() };
+}
+
+function eventTopics(type, payload = {}) {
+  const topics = [`type:${type}`];
+  const symbols = [payload.symbol, ...(Array.isArray(payload.symbols) ? payload.symbols : [])];
+  for (const sym of symbols) if (typeof sym === "string" && sym) topics.push(`symbol:${sym.toUpperCase()}`);
+  if (typeof payload.bot === "string" && payload.bot) topics.push(`bot:${payload.bot}`);
+  return topics;
+}
+
+function wantsEvent(client, obj) {
+  if (!client.topics.size || client.topics.has("*")) return true;
+  return eventTopics(obj.type, obj.payload || {}).some((t) => client.topics.has(t));
+}
+
+function wsSend(ws, obj) {
+  try {
+    ws.send(JSON.stringify({ v: WS_PROTOCOL, ...obj }));
+  } catch {}
+}
+
+function wsBroadcast(obj) {
+  if (obj.id > lastEventId) lastEventId = obj.id;
+  for (const c of [...wsClients, ...sseClients]) {
+    if (!wantsEvent(c, obj)) continue;
+    // Held back while this client's replay is running so it sees events in id order
+    if (c.replaying) c.pending.push(obj);
+    else c.deliver(obj);
+  }
+}
+
+function cleanTopics(list) {
+  const arr = Array.isArray(list) ? list : String(list || "").split(",");
+  return arr
+    .map((t) => String(t).trim())
+    .filter((t) => TOPIC_RE.test(t))
+    .map((t) => (t.startsWith("symbol:") ? t.toUpperCase().replace("SYMBOL:", "symbol:") : t))
+    .slice(0, 100);
+}
+
+// client: a WS socket or SSE stream with { topics, replaying, pending, deliver(obj) }
+async function replayEvents(client, lastId) {
+  const from = Math.max(0, Math.floor(Number(lastId) || 0));
+  if (!client.replaying) client.pending = [];
+  client.replaying = true;
+  let count = 0;
+  let to = from;
+  try {
+    // Live events queue in pending meanwhile, so paging until a short page leaves no gap
+    for (let full = hasDb; full && (wsClients.has(client) || sseClients.has(client)); ) {
+      const r = await dbQuery(`SELECT id, type, payload, ts FROM events WHERE id > $1 ORDER BY id ASC LIMIT $2`, [to, WS_REPLAY_PAGE]);
+      full = r.rows.length === WS_REPLAY_PAGE;
+      for (const row of r.rows) {
+        const m = eventMessage(row);
+        to = m.id;
+        if (!wantsEvent(client, m)) continue;
+        client.deliver({ ...m, replay: true });
+        count++;
+      }
+    }
+  } finally {
+    const pending = client.pending;
+    client.replaying = false;
+    client.pending = [];
+    client.deliver({ type: "replay_done", ts: new Date().toISOString(), payload: { from, to, count } });
+    for (const m of pending) if (!(m.id <= to)) client.deliver(m);
+  }
+}
+
+async function wsHandle(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(String(raw));
+  } catch {
+    return wsSend(ws, { type: "error", ts: new Date().toISOString(), payload: { error: "Invalid JSON" } });
+  }
+  const reply = (type, payload) => wsSend(ws, { type, ts: new Date().toISOString(), payload });
+  switch (msg?.op) {
+    case "subscribe":
+      for (const t of cleanTopics(msg.topics)) ws.topics.add(t);
+      return reply("subscribed", { topics: [...ws.topics] });
+    case "unsubscribe":
+      for (const t of cleanTopics(msg.topics)) ws.topics.delete(t);
+      return reply("subscribed", { topics: [...ws.topics] });
+    case "resume":
+      return replayEvents(ws, msg.lastId);
+    case "ping":
+      return reply("pong", { ts: msg.ts ?? null });
+    default:
+      return reply("error", { error: `Unknown op ${msg?.op}` });
+  }
+}
+
+// Sockets that miss a whole ping interval are terminated
+function startWsHeartbeat() {
+  return setInterval(() => {
+    for (const ws of wsClients) {
+      if (!ws.isAlive) {
+        wsClients.delete(ws);
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      try {
+        ws.ping();
+      } catch {}
+    }
+  }, Math.max(5, WS_PING_SEC) * 1000);
+}
+
+// Stored, broadcast locally, and NOTIFYed so the other replicas' WS clients see it too
+async function emitEvent(type, payload) {
+  if (hasDb) {
+    const r = await dbQuery(
+      `
+      WITH e AS (INSERT INTO events(type, payload) VALUES ($1, $2::jsonb) RETURNING id, ts, type, payload)
+      SELECT id, ts, pg_notify($3, CASE
+        WHEN octet_length(payload::text) < 7000
+          THEN json_build_object('id', id, 'origin', $4::text, 'type', type, 'payload', payload, 'ts', ts)::text
+        ELSE json_build_object('id', id, 'origin', $4::text)::text
+      END) FROM e
+    `,
+      [type, JSON.stringify(payload || {}), EVENTS_CHANNEL, INSTANCE_ID]
+    );
+    return wsBroadcast({ id: Number(r.rows[0].id), type, payload, ts: new Date(r.rows[0].ts).toISOString() });
+  }
+  wsBroadcast({ type, payload, ts: new Date().toISOString() });
+}
+
+// -----------------------------
+// Event retention + rollup (runner leader only)
+// -----------------------------
+// Events older than `days` (or a per-type override in `types`) are deleted in batches; each
+// batch first adds its per-day, per-type counts to event_rollups so volume history survives.
+const DEFAULT_EVENT_RETENTION = { days: 14, types: { runner_state: 1, carousel_tick: 1 }, batch: 5000, maxBatches: 40 };
+const EVENT_RETENTION_EVERY_SEC = Number(process.env.EVENT_RETENTION_EVERY_SEC || 3600);
+
+async function getEventRetention() {
+  const s = (hasDb ? await getSetting("event_retention") : null) || {};
+  return { ...DEFAULT_EVENT_RETENTION, ...s, types: { ...DEFAULT_EVENT_RETENTION.types, ...(s.types || {}) } };
+}
+
+async function pruneEvents() {
+  if (!hasDb) return { deleted: 0, batches: 0 };
+  const cfg = await getEventRetention();
+  const cutoff = (days) => new Date(Date.now() - days * 86400000).toISOString();
+  const types = Object.keys(cfg.types);
+  const params = [types, types.map((t) => cutoff(cfg.types[t])), cutoff(cfg.days), cfg.batch];
+
+  let deleted = 0;
+  let batches = 0;
+  while (batches < cfg.maxBatches) {
+    const r = await dbQuery(
+      `
+      WITH doomed AS (
+        SELECT e.id FROM events e
+        LEFT JOIN unnest($1::text[], $2::timestamptz[]) AS o(type, cutoff) ON o.type = e.type
+        WHERE e.ts < COALESCE(o.cutoff, $3::timestamptz)
+        ORDER BY e.id
+        LIMIT $4
+      ), del AS (
+        DELETE FROM events WHERE id IN (SELECT id FROM doomed) RETURNING id, ts, type
+      ), agg AS (
+        INSERT INTO event_rollups(day, type, count, first_id, last_id)
+        SELECT (ts AT TIME ZONE 'UTC')::date, type, COUNT(*), MIN(id), MAX(id) FROM del GROUP BY 1, 2
+        ON CONFLICT (day, type) DO UPDATE SET
+          count = event_rollups.count + EXCLUDED.count,
+          first_id = LEAST(event_rollups.first_id, EXCLUDED.first_id),
+          last_id = GREATEST(event_rollups.last_id, EXCLUDED.last_id)
+      )
+      SELECT COUNT(*)::int AS n FROM del
+    `,
+      params
+    );
+    const n = r.rows[0].n;
+    deleted += n;
+    batches++;
+    if (n < cfg.batch) break;
+  }
+  return { deleted, batches };
+}
+
+// -----------------------------
+// Settings: declared schemas + versions
+// -----------------------------
+// POST /api/settings/<key> bodies are checked against SETTINGS[key].schema; anything off-schema
+// is a 400 listing { field, message } per problem instead of being dropped or coerced. Every
+// save becomes a new version (settings_versions) that can be listed, diffed and reverted to.
+// Schema nodes: { type, default?, check?(value, key) -> message } plus
+//   number/integer: min, max, gt | string: enum, pattern, minLength, maxLength, case, message
+//   array: items, minItems, maxItems, unique | object: props (other keys rejected) | map: keys (RegExp), values
+const sNum = (o = {}) => ({ type: "number", ...o });
+const sInt = (o = {}) => ({ type: "integer", ...o });
+const sBool = (o = {}) => ({ type: "boolean", ...o });
+const sStr = (o = {}) => ({ type: "string", ...o });
+const sArr = (items, o = {}) => ({ type: "array", items, ...o });
+const sObj = (props, o = {}) => ({ type: "object", props, ...o });
+const sMap = (keys, values, o = {}) => ({ type: "map", keys, values, ...o });
+
+function fieldPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+// Returns the cleaned value (strings trimmed/cased, defaults filled); problems go to errors
+function checkValue(schema, value, path, errors, key = null) {
+  const start = errors.length;
+  const fail = (message) => {
+    errors.push({ field: path || "(body)", message });
+    return undefined;
+  };
+  let out = value;
+  switch (schema.type) {
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a finite number");
+      if (schema.type === "integer" && !Number.isInteger(value)) return fail("must be an integer");
+      if (schema.min !== undefined && value < schema.min) return fail(`must be >= ${schema.min}`);
+      if (schema.gt !== undefined && !(value > schema.gt)) return fail(`must be > ${schema.gt}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be <= ${schema.max}`);
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      out = value.trim();
+      if (schema.case === "upper") out = out.toUpperCase();
+      if (schema.case === "lower") out = out.toLowerCase();
+      if (schema.enum && !schema.enum.includes(out)) return fail(`must be one of ${schema.enum.join(", ")}`);
+      if (schema.minLength && out.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength && out.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !schema.pattern.test(out)) return fail(schema.message || `must match ${schema.pattern}`);
+      break;
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (schema.minItems && value.length < schema.minItems) return fail(schema.minItems === 1 ? "must not be empty" : `must have at least ${schema.minItems} items`);
+      if (schema.maxItems && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+      out = value.map((x, i) => checkValue(schema.items, x, fieldPath(path, i), errors, i));
+      if (schema.unique && errors.length === start) {
+        const seen = new Set();
+        out.forEach((x, i) => {
+          const k = JSON.stringify(x);
+          if (seen.has(k)) errors.push({ field: fieldPath(path, i), message: "duplicate value" });
+          seen.add(k);
+        });
+      }
+      break;
+    }
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      out = {};
+      for (const k of Object.keys(value)) if (!Object.hasOwn(schema.props, k)) errors.push({ field: fieldPath(path, k), message: "unknown field" });
+      for (const [k, s] of Object.entries(schema.props)) {
+        if (value[k] === undefined) {
+          if (s.default !== undefined) out[k] = structuredClone(s.default);
+          continue;
+        }
+        const v = checkValue(s, value[k], fieldPath(path, k), errors, k);
+        if (v !== undefined) out[k] = v;
+      }
+      break;
+    case "map":
+      if (!isPlainObject(value)) return fail("must be an object");
+      out = {};
+      for (const [rawKey, x] of Object.entries(value)) {
+        const k = schema.upperKeys ? rawKey.toUpperCase().trim() : rawKey;
+        // "__proto__" would set the prototype instead of adding a key
+        if (!schema.keys.test(k) || k === "__proto__") {
+          errors.push({ field: fieldPath(path, rawKey), message: `key must match ${schema.keys}` });
+          continue;
+        }
+        const v = checkValue(schema.values, x, fieldPath(path, k), errors, k);
+        if (v !== undefined) out[k] = v;
+      }
+      break;
+  }
+  if (schema.check && errors.length === start) {
+    const message = schema.check(out, key);
+    if (message) return fail(message);
+  }
+  return errors.length === start ? out : undefined;
+}
+
+function validTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const SYMBOL_RE = /^[A-Z0-9][A-Z0-9.\-]{0,19}$/;
+const VENUE_ID_RE = /^[a-z0-9_]{2,20}$/;
+const sSymbol = (o = {}) => sStr({ case: "upper", pattern: SYMBOL_RE, message: "must be a ticker symbol", ...o });
+const sEvalWindows = sArr(sInt({ min: 30, max: 90 * 86400 }), { minItems: 1, maxItems: 6, unique: true });
+const sRetentionDays = sNum({ gt: 0, max: 3650 });
+const sHhmm = sStr({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: "must be HH:MM" });
+const sPct = (o = {}) => sNum({ min: 0, max: 100, ...o });
+
+// { default: {...}, bots: { <bot>: {...} } } with the same shape at both levels
+const sPerBot = (cfg) => sObj({ default: { ...cfg, default: {} }, bots: sMap(BOT_ID_RE, cfg, { default: {} }) });
+
+// New custom symbols must quote from a real provider; skipped without provider keys, with
+// ?verify=0, and for symbols already in the list. Rate-limited lookups fall back quietly.
+async function verifyUniverseSymbols(v) {
+  if (!FINNHUB_KEY && !TWELVEDATA_KEY) return [];
+  const prev = new Set((await getUniverseSetting()).custom || []);
+  const fresh = v.custom.filter((s) => !prev.has(s));
+  if (!fresh.length) return [];
+  const quotes = await getStockPrices(fresh);
+  return quotes
+    .filter((q) => q?.error)
+    .map((q) => ({ field: `custom[${v.custom.indexOf(q.symbol)}]`, message: `unknown symbol (${q.error})` }));
+}
+
+// empty: what GET /api/settings shows before the key is ever saved
+// refine(value) -> errors across fields; verify(value) -> async lookups; apply(value) after each save/revert
+const SETTINGS = {
+  // "accelerated" grades every sample after 60s; "realtime" uses the learning_eval windows
+  learning_speed: {
+    empty: { mode: "realtime" },
+    schema: sObj({
+      mode: sStr({ enum: ["realtime", "accelerated"], default: "realtime" }),
+    }),
+  },
+  // Eval windows in seconds, merged over DEFAULT_EVAL_WINDOWS; the first window in each list is the primary one
+  learning_eval: {
+    empty: { horizons: {}, strategies: {} },
+    schema: sObj({
+      horizons: sObj({ short: sEvalWindows, medium: sEvalWindows, long: sEvalWindows }, { default: {} }),
+      strategies: sMap(BOT_ID_RE, sEvalWindows, { default: {} }),
+    }),
+  },
+  // Days to keep events, per type overrides, merged over DEFAULT_EVENT_RETENTION
+  event_retention: {
+    empty: {},
+    schema: sObj({
+      days: sRetentionDays,
+      types: sMap(/^[a-z0-9_]{1,60}$/, sRetentionDays),
+      batch: sInt({ min: 100, max: 50000 }),
+      maxBatches: sInt({ min: 1, max: 1000 }),
+    }),
+  },
+  // Overrides for DEFAULT_RUNNER; POST /api/settings/runner patches, start/pause/resume set the flags
+  runner: {
+    empty: {},
+    schema: sObj({
+      enabled: sBool(),
+      paused: sBool(),
+      intervalSec: sInt({ min: 2, max: 3600 }),
+      tradeTop: sInt({ min: 0, max: 20 }),
+      concurrency: sInt({ min: 1, max: 16 }),
+      weights: sObj(Object.fromEntries(Object.keys(DEFAULT_RUNNER.weights).map((k) => [k, sNum({ min: 0 })]))),
+    }),
+    apply: async () => {
+      await loadRunnerConfig();
+      scheduleRunner();
+    },
+  },
+  // auto: overrides for DEFAULT_AUTO_UNIVERSE
+  universe: {
+    empty: { mode: "auto", custom: [] },
+    schema: sObj({
+      mode: sStr({ enum: ["auto", "custom"], default: "auto" }),
+      custom: sArr(sSymbol(), { maxItems: 500, unique: true, default: [] }),
+      auto: sObj(
+        {
+          max: sInt({ min: 1, max: 500 }),
+          refreshSec: sNum({ min: 60 }),
+          indexTop: sInt({ min: 0 }),
+          moversTop: sInt({ min: 0 }),
+          scanMax: sInt({ min: 0 }),
+          newsTop: sInt({ min: 0 }),
+          newsArticles: sInt({ min: 0 }),
+          minPrice: sNum({ min: 0 }),
+          maxPrice: sNum({ min: 0 }),
+          minDollarVolume: sNum({ min: 0 }),
+          sources: sObj({ index: sBool(), movers: sBool(), news: sBool() }),
+        },
+        { default: {} }
+      ),
+    }),
+    refine: (v) => (v.mode === "custom" && !v.custom.length ? [{ field: "custom", message: "must list at least one symbol when mode is custom" }] : []),
+    verify: verifyUniverseSymbols,
+    apply: () => {
+      autoUniverse = null;
+    },
+  },
+  // { symbols: { <SYMBOL>: <venue id> }, venues: { <id>: overrides or a new venue } }
+  // New venues need at least a timezone; sessions are "HH:MM" pairs in that timezone
+  venues: {
+    empty: { symbols: {}, venues: {} },
+    schema: sObj({
+      symbols: sMap(SYMBOL_RE, sStr({ pattern: VENUE_ID_RE, message: "must be a venue id" }), { upperKeys: true, default: {} }),
+      venues: sMap(
+        VENUE_ID_RE,
+        sObj(
+          {
+            name: sStr({ maxLength: 80 }),
+            timezone: sStr({ check: (tz) => (validTimeZone(tz) ? null : "unknown timezone") }),
+            calendar: sStr({ pattern: /^[a-z0-9_]+$/ }),
+            currency: sStr({ pattern: /^[A-Z]{3}$/, message: "must be a 3-letter currency code" }),
+            alwaysOpen: sBool(),
+            requireCalendar: sBool(),
+            sessions: sObj(Object.fromEntries(["pre", "regular", "after"].map((k) => [k, sArr(sHhmm, { minItems: 2, maxItems: 2 })]))),
+            providers: sObj({ finnhub: sStr({ maxLength: 40 }), twelvedata: sStr({ maxLength: 40 }) }),
+          },
+          { check: (v, id) => (DEFAULT_VENUES[id] || v.timezone ? null : "new venues need a timezone") }
+        ),
+        { default: {} }
+      ),
+    }),
+    refine: (v) => {
+      const known = new Set([...Object.keys(DEFAULT_VENUES), ...Object.keys(v.venues)]);
+      return Object.entries(v.symbols)
+        .filter(([, id]) => !known.has(id))
+        .map(([sym, id]) => ({ field: `symbols.${sym}`, message: `unknown venue ${id}` }));
+    },
+    apply: () => loadVenueSettings(),
+  },
+  // Fallback FX rates used when no live rate is available: { <CCY>: USD per unit }
+  fx_rates: {
+    empty: {},
+    schema: sMap(/^[A-Z]{3}$/, sNum({ gt: 0 })),
+    apply: () => fxCache.clear(),
+  },
+  accounting: {
+    empty: { method: "fifo", bots: {} },
+    schema: sObj({
+      method: sStr({ enum: ["fifo", "average"], default: "fifo" }),
+      bots: sMap(BOT_ID_RE, sStr({ enum: ["fifo", "average"] }), { default: {} }),
+    }),
+  },
+  // Position sizing merged over DEFAULT_SIZING
+  sizing: {
+    empty: { default: {}, bots: {} },
+    schema: sPerBot(
+      sObj({
+        mode: sStr({ enum: ["fixed_dollar", "pct_equity", "kelly", "vol_target"] }),
+        dollars: sNum({ min: 0 }),
+        pct: sPct(),
+        fraction: sNum({ min: 0, max: 1 }),
+        targetRiskPct: sPct(),
+        volFloorPct: sPct(),
+        maxPct: sPct(),
+        scaleByConfidence: sBool(),
+        fractional: sBool(),
+      })
+    ),
+  },
+  // Short selling opt-in + margin terms merged over DEFAULT_SHORTING
+  shorting: {
+    empty: { default: {}, bots: {} },
+    schema: sPerBot(sObj({ enabled: sBool(), initialMarginPct: sPct(), maintenanceMarginPct: sPct(), borrowFeeAnnualPct: sPct() })),
+  },
+  // Risk limits merged over DEFAULT_RISK
+  risk: {
+    empty: { default: {}, bots: {} },
+    schema: sPerBot(
+      sObj({
+        maxPositionPct: sNum({ min: 0 }),
+        maxGrossExposurePct: sNum({ min: 0 }),
+        dailyLossLimitPct: sPct(),
+        maxTradesPerDay: sInt({ min: 0 }),
+        maxDrawdownPct: sPct(),
+      })
+    ),
+  },
+  // Horizon -> bracket exit plan for bot BUY entries, merged over DEFAULT_EXIT_PLANS
+  exit_plans: {
+    empty: {},
+    schema: sObj(
+      Object.fromEntries(
+        Object.keys(DEFAULT_EXIT_PLANS).map((h) => [
+          h,
+          sObj({ takeProfitPct: sNum({ min: 0 }), stopLossPct: sNum({ min: 0 }), tif: sStr({ enum: ORDER_TIFS }), maxDays: sNum({ gt: 0 }) }),
+        ])
+      )
+    ),
+  },
+  // Impact rule table: mode "default" uses DEFAULT_IMPACT_RULES, "custom" replaces it
+  news_impact: {
+    empty: { mode: "default", rules: [] },
+    schema: sObj({
+      mode: sStr({ enum: ["default", "custom"], default: "default" }),
+      rules: sArr(
+        sObj({
+          id: sStr({ pattern: /^[a-z0-9_]{1,60}$/ }),
+          kind: sStr({ enum: ["company", "sector", "macro"], default: "sector" }),
+          match: sArr(sStr({ case: "lower", minLength: 1 }), { minItems: 1 }),
+          tickers: sArr(sSymbol(), { minItems: 1 }),
+          horizon: sStr({ enum: ["short", "medium", "long"] }),
+          weight: sNum(),
+        }),
+        { maxItems: 500, default: [] }
+      ),
+    }),
+  },
+};
+
+async function checkSetting(key, input, { verify = true } = {}) {
+  const def = SETTINGS[key];
+  const errors = [];
+  const value = checkValue(def.schema, input ?? {}, "", errors);
+  if (!errors.length && def.refine) errors.push(...def.refine(value));
+  if (!errors.length && verify && def.verify) errors.push(...(await def.verify(value)));
+  return errors.length ? { errors } : { value };
+}
+
+// audit may carry a note (e.g. "revert to v3") that is stored on the version
+async function saveSettingValue(key, input, audit, { verify = true } = {}) {
+  const checked = await checkSetting(key, input, { verify });
+  if (checked.errors) return checked;
+  const version = await setSetting(key, checked.value, audit);
+  await SETTINGS[key].apply?.(checked.value);
+  await emitEvent("settings_changed", { key, version, by: audit?.actor || null });
+  return { value: checked.value, version };
+}
+
+function flattenSetting(x, path = "", out = {}) {
+  if (isPlainObject(x) && Object.keys(x).length) {
+    for (const [k, v] of Object.entries(x)) flattenSetting(v, fieldPath(path, k), out);
+  } else {
+    out[path || "(value)"] = x;
   }
+  return out;
+}
 
-  // winner
-  const sorted = [...bots].sort((a, b) => b.confidence - a.confidence);
-  const winner = sorted[0]?.strategy || "sp500_long";
+// Leaf-level changes between two setting values; arrays compare as a whole
+function diffSettings(a, b) {
+  const fa = flattenSetting(a ?? {});
+  const fb = flattenSetting(b ?? {});
+  const fields = [...new Set([...Object.keys(fa), ...Object.keys(fb)])].sort();
+  const items = [];
+  for (const field of fields) {
+    const inA = field in fa;
+    const inB = field in fb;
+    if (inA && inB && JSON.stringify(fa[field]) === JSON.stringify(fb[field])) continue;
+    items.push({ field, op: !inA ? "added" : !inB ? "removed" : "changed", before: inA ? fa[field] : null, after: inB ? fb[field] : null });
+  }
+  return items;
+}
 
-  // execute top N trades if allowed
-  if (hasDb && tradesAllowed) {
-    for (const bot of sorted.slice(0, RUNNER_TRADE_TOP)) {
-      if (bot.signal === "HOLD") continue;
+// -----------------------------
+// Auth: API keys + login sessions, viewer < operator < admin
+// -----------------------------
+// Credentials: "Authorization: Bearer <key>" or "X-API-Key: <key>", or the bw_session cookie
+// from POST /api/auth/login (browsers, SSE, WebSocket). ADMIN_API_KEY is a bootstrap admin
+// that works before any key exists. Requests without credentials get AUTH_ANONYMOUS_ROLE
+// ("viewer" by default, "none" to lock reads too). GETs need viewer, other methods operator,
+// and the ADMIN_* routes admin.
+const ROLES = ["viewer", "operator", "admin"];
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+const AUTH_ANONYMOUS_ROLE = ROLES.includes(process.env.AUTH_ANONYMOUS_ROLE) ? process.env.AUTH_ANONYMOUS_ROLE : process.env.AUTH_ANONYMOUS_ROLE === "none" ? null : "viewer";
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const SESSION_COOKIE = "bw_session";
+const AUTH_CACHE_SEC = 30;
 
-      const qty = 1;
-      await recordTrade({
-        bot: bot.strategy,
-        strategy: bot.strategy,
-        symbol,
-        side: bot.signal,
-        qty,
-        price: features.price,
-        rationale: bot.rationale,
-        confidence: bot.confidence,
-        horizon: bot.horizon,
-        marketOpen: market.open,
-        features,
-      });
+const PUBLIC_ROUTES = [/^\/api\/health$/, /^\/api\/auth\/(login|logout|me)$/];
+const ADMIN_READS = [/^\/api\/auth\/keys/];
+const ADMIN_WRITES = [
+  /^\/api\/settings\//,
+  /^\/api\/auth\/keys/,
+  /^\/api\/bots\/[^/]+\/reset$/,
+  /^\/api\/models\/[^/]+\/(rollback|shadow\/promote)$/,
+  /^\/api\/events\/prune$/,
+];
 
-      await applyTradeToAccount({
-        bot: bot.strategy,
-        symbol,
-        side: bot.signal,
-        qty,
-        price: features.price,
-      });
-    }
+const authCache = new Map(); // "k:<hash>" | "s:<hash>" -> { ts, auth }
+
+function sha256(x) {
+  return crypto.createHash("sha256").update(String(x)).digest("hex");
+}
+
+function hasRole(auth, role) {
+  return !!auth?.role && ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
+
+function requiredRole(req) {
+  if (PUBLIC_ROUTES.some((re) => re.test(req.path))) return null;
+  if (req.method === "GET" || req.method === "HEAD") return ADMIN_READS.some((re) => re.test(req.path)) ? "admin" : "viewer";
+  return ADMIN_WRITES.some((re) => re.test(req.path)) ? "admin" : "operator";
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
   }
+  return out;
+}
 
-  const learningEval = await evaluateDueLearning();
+async function cachedAuth(cacheKey, load) {
+  const hit = authCache.get(cacheKey);
+  if (hit && Date.now() - hit.ts < AUTH_CACHE_SEC * 1000) return hit.auth;
+  const auth = await load();
+  authCache.set(cacheKey, { ts: Date.now(), auth });
+  return auth;
+}
 
-  return {
-    symbol,
-    market,
-    tradesAllowed,
-    features,
-    bots,
-    winner,
-    learningEvaluated: learningEval.evaluated,
-  };
+async function resolveApiKey(key) {
+  const hash = sha256(key);
+  if (ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(sha256(ADMIN_API_KEY)))) {
+    return { name: "bootstrap-admin", role: "admin", via: "key", keyId: null };
+  }
+  if (!hasDb) return null;
+  return cachedAuth(`k:${hash}`, async () => {
+    const r = await dbQuery(`UPDATE api_keys SET last_used_at=NOW() WHERE key_hash=$1 AND revoked_at IS NULL RETURNING id, name, role`, [hash]);
+    const k = r.rows[0];
+    return k ? { name: k.name, role: k.role, via: "key", keyId: Number(k.id) } : null;
+  });
 }
 
-// -----------------------------
-// WebSocket
-// -----------------------------
-let wss = null;
-const wsClients = new Set();
+async function resolveSession(token) {
+  if (!hasDb) return null;
+  const hash = sha256(token);
+  return cachedAuth(`s:${hash}`, async () => {
+    const r = await dbQuery(`SELECT name, role, key_id FROM auth_sessions WHERE token_hash=$1 AND expires_at > NOW()`, [hash]);
+    const x = r.rows[0];
+    return x ? { name: x.name, role: x.role, via: "session", keyId: x.key_id === null ? null : Number(x.key_id) } : null;
+  });
+}
 
-function wsBroadcast(obj) {
-  const msg = JSON.stringify(obj);
-  for (const ws of wsClients) {
-    try { ws.send(msg); } catch {}
+// Also used for WebSocket upgrades, which carry the same headers/cookies
+async function authenticate(req) {
+  const bearer = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i)?.[1];
+  const key = bearer || req.headers["x-api-key"];
+  if (key) return (await resolveApiKey(String(key).trim())) || { invalid: true };
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    const session = await resolveSession(token);
+    if (session) return session;
   }
+  return { name: "anonymous", role: AUTH_ANONYMOUS_ROLE, via: "anonymous" };
 }
 
-async function emitEvent(type, payload) {
-  if (hasDb) {
-    await dbQuery(`INSERT INTO events(type, payload) VALUES ($1, $2::jsonb)`, [
-      type,
-      JSON.stringify(payload || {}),
-    ]);
+function auditOf(req) {
+  return { actor: req.auth?.name || "unknown", role: req.auth?.role || null, via: req.auth?.via || null };
+}
+
+app.use(async (req, res, next) => {
+  if (!req.path.startsWith("/api/")) return next();
+  try {
+    req.auth = await authenticate(req);
+  } catch (e) {
+    return res.status(503).json({ error: `Auth unavailable: ${e.message || e}` });
   }
-  wsBroadcast({ type, payload, ts: new Date().toISOString() });
+  if (req.auth.invalid) return res.status(401).json({ error: "Invalid API key" });
+  const need = requiredRole(req);
+  if (!need || hasRole(req.auth, need)) return next();
+  if (req.auth.via === "anonymous") return res.status(401).json({ error: "Authentication required", required: need });
+  res.status(403).json({ error: `Requires ${need} role`, role: req.auth.role });
+});
+
+async function createApiKey({ name, role, createdBy }) {
+  const key = `bw_${crypto.randomBytes(24).toString("hex")}`;
+  const r = await dbQuery(
+    `INSERT INTO api_keys(name, role, key_hash, prefix, created_by) VALUES ($1,$2,$3,$4,$5) RETURNING id, name, role, prefix, created_at`,
+    [name, role, sha256(key), key.slice(0, 10), createdBy]
+  );
+  return { ...r.rows[0], key };
+}
+
+async function revokeApiKey(id) {
+  const r = await dbQuery(`UPDATE api_keys SET revoked_at=NOW() WHERE id=$1 AND revoked_at IS NULL RETURNING id, name`, [id]);
+  if (!r.rows[0]) return null;
+  await dbQuery(`DELETE FROM auth_sessions WHERE key_id=$1`, [id]);
+  dropKeyAuth(id);
+  return r.rows[0];
+}
+
+// Forgets cached credentials and disconnects live streams opened with a revoked key (or its
+// sessions); other instances do the same when they see api_key_revoked
+function dropKeyAuth(keyId) {
+  authCache.clear();
+  for (const ws of wsClients) if (ws.auth?.keyId === keyId) ws.close(4401, "API key revoked");
+  for (const c of sseClients) if (c.auth?.keyId === keyId) c.close();
 }
 
 // -----------------------------
 // API
 // -----------------------------
-app.get("/api/health", async (_req, res) => {
+// Express 4 ignores rejected async handlers (Node then exits on the unhandled rejection), so
+// every route goes through asyncRoute and failures end up in the JSON error handler below
+function asyncRoute(fn) {
+  return (req, res, next) => Promise.resolve().then(() => fn(req, res, next)).catch(next);
+}
+
+// Integer query/body params: missing -> def, clamped to [min, max]; null when not an integer
+const PG_INT_MAX = 2147483647;
+
+function intParam(x, def, { min = -Infinity, max = Infinity } = {}) {
+  if (x === undefined || x === "") return def;
+  const n = Number(x);
+  if (!Number.isInteger(n)) return null;
+  return Math.max(min, Math.min(max, n));
+}
+
+app.get("/api/health", asyncRoute(async (_req, res) => {
   const market = isMarketOpen();
   res.json({
     ok: true,
@@ -644,45 +4602,83 @@ app.get("/api/health", async (_req, res) => {
       postgres: hasDb,
     },
     runner: {
-      enabled: RUNNER_ENABLED,
-      intervalSec: RUNNER_INTERVAL_SEC,
-      tradeTop: RUNNER_TRADE_TOP,
+      enabled: runnerConfig.enabled,
+      paused: runnerConfig.paused,
+      intervalSec: runnerConfig.intervalSec,
+      tradeTop: runnerConfig.tradeTop,
+      concurrency: runnerConfig.concurrency,
+      instance: INSTANCE_ID,
+      leader: leader.isLeader,
     },
   });
-});
+}));
 
-app.get("/api/runner/status", async (_req, res) => {
+app.get("/api/runner/status", asyncRoute(async (_req, res) => {
   const market = isMarketOpen();
   const state = await getRunnerState();
   const universe = (await getSetting("universe")) || { mode: "auto", custom: [] };
-  const list = await getUniverseList();
-  const idx = Number(state.idx || 0);
+  const universeList = await describeUniverse();
   res.json({
-    enabled: RUNNER_ENABLED,
-    intervalSec: RUNNER_INTERVAL_SEC,
-    tradeTop: RUNNER_TRADE_TOP,
+    ...(await getRunnerStatus()),
     market,
+    nextOpen: market.nextOpen,
+    nextClose: market.nextClose,
+    venues: listVenues().map((v) => ({ id: v.id, ...isMarketOpen(new Date(), v) })),
     newsOnlyWhenClosed: NEWS_ONLY_WHEN_CLOSED,
     universe,
+    universeList,
     state,
-    nextSymbol: list[(idx + 1) % list.length] || list[0],
   });
-});
+}));
+
+// Runtime controls; start/pause/resume persist to setting "runner" so they survive a restart
+app.post("/api/runner/start", asyncRoute(async (req, res) => {
+  await saveRunnerConfig({ enabled: true, paused: false }, auditOf(req));
+  scheduleRunner(0);
+  res.json(await getRunnerStatus());
+}));
+
+// In-flight fights finish; nothing new starts until resume (orders and margin keep settling)
+app.post("/api/runner/pause", asyncRoute(async (req, res) => {
+  await saveRunnerConfig({ paused: true }, auditOf(req));
+  scheduleRunner();
+  res.json(await getRunnerStatus());
+}));
+
+app.post("/api/runner/resume", asyncRoute(async (req, res) => {
+  if (!runnerConfig.enabled) return res.status(409).json({ error: "Runner is not started" });
+  await saveRunnerConfig({ paused: false }, auditOf(req));
+  scheduleRunner(0);
+  res.json(await getRunnerStatus());
+}));
+
+// One tick by hand while the loop is stopped or paused; { symbol } fights just that symbol
+app.post("/api/runner/step", asyncRoute(async (req, res) => {
+  if (!leader.isLeader) return res.status(409).json({ error: "Only the runner leader can step", leader: (await getLeaderStatus()).leaderInstance });
+  if (runnerConfig.enabled && !runnerConfig.paused) return res.status(409).json({ error: "Pause the runner before stepping" });
+  const only = req.body?.symbol ? String(req.body.symbol).toUpperCase().trim() : null;
+  const out = await runnerTick({ wait: true, only });
+  if (out.skipped) return res.status(409).json({ error: out.skipped });
+  res.json({ picked: out.picked, results: out.results });
+}));
 
 // ✅ War Room bankroll source
-app.get("/api/portfolios", async (_req, res) => {
+app.get("/api/portfolios", asyncRoute(async (_req, res) => {
   if (!hasDb) return res.json({ items: [] });
-  const r = await dbQuery(`SELECT bot, cash, goal FROM bot_accounts ORDER BY bot ASC`);
-  res.json({ items: r.rows });
-});
+  try {
+    res.json({ items: await getBotPortfolios() });
+  } catch (e) {
+    res.status(500).json({ items: [], error: e.message || "Portfolios failed" });
+  }
+}));
 
 // ✅ Recent trades (bot_trades only)
-app.get("/api/trades/recent", async (req, res) => {
+app.get("/api/trades/recent", asyncRoute(async (req, res) => {
   if (!hasDb) return res.json({ items: [] });
   const limit = Math.max(1, Math.min(200, Number(req.query.limit || 25)));
   const r = await dbQuery(
     `
-    SELECT id, ts, bot, side, symbol, qty, price, rationale, confidence, horizon
+    SELECT id, ts, bot, side, symbol, qty, requested_qty, price, rationale, confidence, horizon, status, reject_reason
     FROM bot_trades
     ORDER BY ts DESC
     LIMIT $1
@@ -690,16 +4686,16 @@ app.get("/api/trades/recent", async (req, res) => {
     [limit]
   );
   res.json({ items: r.rows });
-});
+}));
 
 // ✅ Bot drawer endpoint (fixes “Cannot GET /api/trades/bot/day_trade”)
-app.get("/api/trades/bot/:bot", async (req, res) => {
+app.get("/api/trades/bot/:bot", asyncRoute(async (req, res) => {
   if (!hasDb) return res.json({ items: [] });
   const bot = String(req.params.bot || "").trim();
   const limit = Math.max(1, Math.min(200, Number(req.query.limit || 100)));
   const r = await dbQuery(
     `
-    SELECT id, ts, bot, side, symbol, qty, price, rationale, confidence, horizon
+    SELECT id, ts, bot, side, symbol, qty, requested_qty, price, rationale, confidence, horizon, status, reject_reason
     FROM bot_trades
     WHERE bot=$1
     ORDER BY ts DESC
@@ -708,17 +4704,530 @@ app.get("/api/trades/bot/:bot", async (req, res) => {
     [bot, limit]
   );
   res.json({ items: r.rows });
-});
+}));
+
+// Landing page market pulse (whole universe, batched quotes)
+app.get("/api/market/pulse", asyncRoute(async (_req, res) => {
+  const market = isMarketOpen();
+  try {
+    const list = await getUniverseList();
+    const quotes = await getStockPrices(list);
+    const items = quotes.map((q) => ({
+      symbol: q.symbol,
+      price: q.price,
+      changePercent: q.changePercent,
+      provider: q.provider,
+      ...(q.error ? { error: q.error } : {}),
+    }));
+    res.json({ market, items, errors: items.filter((x) => x.error).length });
+  } catch (e) {
+    res.status(500).json({ market, items: [], error: e.message || "Pulse failed" });
+  }
+}));
+
+// Feature registry + price history
+app.get("/api/features", asyncRoute((_req, res) => {
+  res.json({
+    items: [...FEATURES.values()].map((f) => ({ name: f.name, lookback: f.lookback, description: f.description })),
+    interval: PRICE_BAR_INTERVAL,
+  });
+}));
+
+app.get("/api/bars/:symbol", asyncRoute(async (req, res) => {
+  const symbol = String(req.params.symbol || "").toUpperCase().trim();
+  const interval = String(req.query.interval || PRICE_BAR_INTERVAL);
+  if (!BAR_INTERVALS[interval]) return res.status(400).json({ error: `interval must be one of ${Object.keys(BAR_INTERVALS).join(", ")}` });
+  const limit = intParam(req.query.limit, PRICE_BAR_LOOKBACK, { min: 1, max: 1000 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const bars = await getBars(symbol, { interval, limit });
+  const all = computeFeatures({ bars });
+  const features = Object.fromEntries([...FEATURES.values()].filter((f) => f.lookback > 0).map((f) => [f.name, all[f.name]]));
+  res.json({ symbol, interval, count: bars.length, features, bars });
+}));
+
+// Exchange calendar: sessions, holidays, early closes + the next trading days (?venue=, default us)
+app.get("/api/market/calendar", asyncRoute((req, res) => {
+  const venue = getVenue(String(req.query.venue || "us"));
+  if (!venue) return res.status(404).json({ error: "Unknown venue" });
+  const year = Number(req.query.year || marketClock(new Date(), venue.timezone).date.slice(0, 4));
+  if (!Number.isInteger(year) || year < 1990 || year > 2100) return res.status(400).json({ error: "Invalid year" });
+  const days = Math.max(1, Math.min(60, Number(req.query.days || 10)));
+  res.json({
+    ...getMarketCalendar(year, venue),
+    status: isMarketOpen(new Date(), venue),
+    upcoming: upcomingTradingDays(days, new Date(), venue),
+  });
+}));
+
+// Venues with their live session status; ?symbol= shows how one symbol resolves
+app.get("/api/venues", asyncRoute((req, res) => {
+  const items = listVenues().map((v) => ({ ...v, status: isMarketOpen(new Date(), v) }));
+  if (!req.query.symbol) return res.json({ items, symbols: venueSettings.symbols });
+  const symbol = String(req.query.symbol).toUpperCase().trim();
+  const v = resolveVenue(symbol);
+  res.json({
+    symbol,
+    venue: v.id,
+    currency: v.currency,
+    providers: { finnhub: providerSymbol(symbol, "finnhub"), twelvedata: providerSymbol(symbol, "twelvedata") },
+    status: isMarketOpen(new Date(), v),
+  });
+}));
+
+// Event log. Filters: type (comma list), from/to (ISO), symbol, bot, and payload.<path>=value
+// (dot path into the payload, compared as text). Pages newest-first; pass nextCursor back as cursor.
+app.get("/api/events", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [], nextCursor: null });
+  const q = req.query;
+  const limit = intParam(q.limit, 100, { min: 1, max: 500 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const where = [];
+  const vals = [];
+  const add = (sql, v) => {
+    vals.push(v);
+    where.push(sql.replace("?", `$${vals.length}`));
+  };
+
+  if (q.type) add(`type = ANY(?)`, String(q.type).split(",").map((t) => t.trim()).filter(Boolean));
+  for (const k of ["from", "to"]) {
+    if (!q[k]) continue;
+    const d = new Date(String(q[k]));
+    if (Number.isNaN(d.getTime())) return res.status(400).json({ error: `Invalid ${k}` });
+    add(k === "from" ? `ts >= ?` : `ts < ?`, d.toISOString());
+  }
+  if (q.symbol) add(`payload->>'symbol' = ?`, String(q.symbol).toUpperCase().trim());
+  if (q.bot) add(`payload->>'bot' = ?`, String(q.bot).trim());
+  for (const [k, v] of Object.entries(q)) {
+    if (!k.startsWith("payload.")) continue;
+    const path = k.slice("payload.".length).split(".");
+    if (!path.every((p) => /^[A-Za-z0-9_]{1,60}$/.test(p))) return res.status(400).json({ error: `Invalid field ${k}` });
+    vals.push(path);
+    add(`payload #>> $${vals.length}::text[] = ?`, String(v));
+  }
+  if (q.cursor) {
+    const c = intParam(q.cursor, null);
+    if (!(c >= 1)) return res.status(400).json({ error: "Invalid cursor" });
+    add(`id < ?`, c);
+  }
+
+  vals.push(limit);
+  try {
+    const r = await dbQuery(
+      `SELECT id, ts, type, payload FROM events ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT $${vals.length}`,
+      vals
+    );
+    const items = r.rows.map(eventMessage);
+    res.json({ items, nextCursor: items.length === limit ? items[items.length - 1].id : null });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Events query failed" });
+  }
+}));
+
+// Server-Sent Events for clients without WebSockets. ?topics= as on /ws; Last-Event-ID (or
+// ?lastId=) replays what was missed. Each message has id = events.id and event = its type.
+app.get("/api/events/stream", asyncRoute((req, res) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+
+  const client = { topics: new Set(cleanTopics(req.query.topics)), replaying: false, pending: [], auth: req.auth };
+  client.close = () => res.end();
+  client.deliver = (obj) => {
+    const lines = [];
+    if (obj.id) lines.push(`id: ${obj.id}`);
+    lines.push(`event: ${obj.type}`, `data: ${JSON.stringify({ v: WS_PROTOCOL, ...obj })}`);
+    res.write(`${lines.join("\n")}\n\n`);
+  };
+  sseClients.add(client);
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), Math.max(5, WS_PING_SEC) * 1000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    sseClients.delete(client);
+  });
+
+  client.deliver({ type: "hello", ts: new Date().toISOString(), payload: { ok: true, protocol: WS_PROTOCOL, topics: [...client.topics], lastEventId } });
+  const resumeFrom = req.get("Last-Event-ID") ?? req.query.lastId;
+  if (resumeFrom !== undefined) replayEvents(client, resumeFrom).catch(() => {});
+}));
+
+// Daily counts kept for events that retention has removed
+app.get("/api/events/rollups", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const days = intParam(req.query.days, 30, { min: 1, max: 366 });
+  if (days === null) return res.status(400).json({ error: "Invalid days" });
+  const vals = [days];
+  let typeSql = "";
+  if (req.query.type) {
+    vals.push(String(req.query.type).split(",").map((t) => t.trim()));
+    typeSql = `AND type = ANY($2)`;
+  }
+  try {
+    const r = await dbQuery(
+      `SELECT day, type, count, first_id, last_id FROM event_rollups WHERE day >= CURRENT_DATE - $1::int ${typeSql} ORDER BY day DESC, type ASC`,
+      vals
+    );
+    res.json({ items: r.rows, retention: await getEventRetention() });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Rollups query failed" });
+  }
+}));
+
+app.post("/api/events/prune", asyncRoute(async (_req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const out = await pruneEvents();
+  if (out.deleted) await emitEvent("events_pruned", out);
+  res.json(out);
+}));
+
+// Universe the runner cycles through, with per-symbol reasons; refresh forces an auto rebuild
+app.get("/api/universe", asyncRoute(async (_req, res) => {
+  res.json(await describeUniverse());
+}));
+
+app.post("/api/universe/refresh", asyncRoute(async (_req, res) => {
+  const u = await getUniverseSetting();
+  if (u.mode === "custom" && Array.isArray(u.custom) && u.custom.length) return res.status(409).json({ error: "Universe is in custom mode" });
+  await getAutoUniverse(u, { force: true });
+  res.json(await describeUniverse());
+}));
+
+// Loaded strategy plugins (built-in + worker-hosted contrib)
+app.get("/api/strategies", asyncRoute((_req, res) => {
+  res.json({
+    items: [...STRATEGIES.values()].map((s) => ({
+      id: s.id,
+      label: s.label,
+      horizon: s.horizon,
+      features: s.features,
+      source: s.source,
+      file: path.relative(__dirname, s.file),
+    })),
+    timeoutMs: STRATEGY_TIMEOUT_MS,
+  });
+}));
+
+// Accuracy per eval window (1h / 1d / 5d ...) for each strategy
+app.get("/api/learning/checkpoints", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const days = intParam(req.query.days, 14, { min: 1, max: 365 });
+  if (days === null) return res.status(400).json({ error: "Invalid days" });
+  const strategy = String(req.query.strategy || "").trim();
+  res.json({ days, items: await getCheckpointAccuracy({ days, strategy }) });
+}));
+
+// Learning impact chart (accuracy per strategy per day + breakdowns)
+app.get("/api/learning/impact", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ series: [], byHorizon: [], bySymbol: [], calibration: [] });
+  const days = Math.max(1, Math.min(365, Number(req.query.days || 14) || 14));
+  try {
+    const out = await getLearningImpact({
+      days,
+      strategy: String(req.query.strategy || "").trim(),
+      symbol: String(req.query.symbol || "").toUpperCase().trim(),
+      horizon: String(req.query.horizon || "").trim(),
+    });
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Learning impact failed" });
+  }
+}));
+
+// Risk status per bot: limits in force, drawdown, today's P&L and trade count
+app.get("/api/risk", asyncRoute(async (_req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const ar = await dbQuery(`SELECT bot FROM bot_accounts ORDER BY bot ASC`);
+  const items = [];
+  for (const { bot } of ar.rows) {
+    const cfg = await getRiskConfig(bot);
+    const marks = await riskMarks(bot);
+    const st = await dbTx((db) => getRiskState(db, bot, { marks }));
+    items.push({
+      bot,
+      limits: cfg,
+      paused: st.paused,
+      pausedReason: st.pausedReason,
+      equity: st.equity,
+      peakEquity: st.peak,
+      drawdownPct: st.peak > 0 ? ((st.peak - st.equity) / st.peak) * 100 : 0,
+      dayPnlPct: st.dayStart > 0 ? ((st.equity - st.dayStart) / st.dayStart) * 100 : 0,
+      tradesToday: st.tradesToday,
+    });
+  }
+  res.json({ items });
+}));
+
+// Model versions (strategy = model_weights key, i.e. the bot id)
+function modelResult(res, out) {
+  if (out.error) return res.status(out.notFound ? 404 : 400).json({ error: out.error });
+  res.json(out);
+}
+
+app.get("/api/models/:strategy", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const strategy = req.params.strategy;
+  const snaps = await dbQuery(
+    `SELECT id, created_at, variant, label, reason FROM model_snapshots WHERE strategy=$1 ORDER BY created_at DESC, id DESC LIMIT 50`,
+    [strategy]
+  );
+  const shadow = await getShadow(strategy);
+  res.json({
+    strategy,
+    live: await getWeights(strategy),
+    shadow: shadow ? { ...shadow, lr: Number(shadow.lr), weights: await getWeights(strategy, "shadow") } : null,
+    snapshots: snaps.rows,
+  });
+}));
+
+app.get("/api/models/:strategy/history", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const feature = String(req.query.feature || "").trim();
+  const variant = String(req.query.variant || "live");
+  const limit = intParam(req.query.limit, 200, { min: 1, max: 1000 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const r = await dbQuery(
+    `
+    SELECT id, ts, variant, feature, old_weight, new_weight, reason, sample_id
+    FROM model_weight_history
+    WHERE strategy=$1 AND variant=$2 AND ($3 = '' OR feature = $3)
+    ORDER BY ts DESC, id DESC
+    LIMIT $4
+  `,
+    [req.params.strategy, variant, feature, limit]
+  );
+  res.json({ items: r.rows });
+}));
+
+app.post("/api/models/:strategy/snapshots", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const variant = req.body?.variant === "shadow" ? "shadow" : "live";
+  res.json(await snapshotModel(req.params.strategy, { variant, label: String(req.body?.label || "").slice(0, 120) }));
+}));
+
+// "live" | "shadow" | snapshot id; null for anything else
+function modelRef(x, def) {
+  const ref = String(x || def);
+  if (ref === "live" || ref === "shadow") return ref;
+  return intParam(ref, null, { min: 1, max: Number.MAX_SAFE_INTEGER });
+}
+
+// ?a=live|shadow|<snapshotId>&b=live|shadow|<snapshotId>
+app.get("/api/models/:strategy/diff", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const a = modelRef(req.query.a, "live");
+  const b = modelRef(req.query.b, "shadow");
+  if (a === null || b === null) return res.status(400).json({ error: "a and b must be live, shadow or a snapshot id" });
+  const wa = await resolveWeights(req.params.strategy, a);
+  const wb = await resolveWeights(req.params.strategy, b);
+  if (!wa || !wb) return res.status(404).json({ error: "Unknown snapshot for this strategy" });
+  res.json({ strategy: req.params.strategy, a: String(a), b: String(b), items: diffWeights(wa, wb) });
+}));
+
+app.post("/api/models/:strategy/rollback", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const snapshotId = intParam(req.body?.snapshotId, null, { min: 1, max: Number.MAX_SAFE_INTEGER });
+  if (snapshotId === null) return res.status(400).json({ error: "snapshotId must be an integer" });
+  modelResult(res, await rollbackModel(req.params.strategy, snapshotId));
+}));
+
+app.post("/api/models/:strategy/shadow", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const b = req.body || {};
+  const fromSnapshotId = b.fromSnapshotId ? intParam(b.fromSnapshotId, null, { min: 1, max: Number.MAX_SAFE_INTEGER }) : null;
+  if (b.fromSnapshotId && fromSnapshotId === null) return res.status(400).json({ error: "fromSnapshotId must be an integer" });
+  modelResult(
+    res,
+    await createShadow(req.params.strategy, {
+      lr: Number(b.lr ?? 0.05),
+      fromSnapshotId,
+      note: String(b.note || "").slice(0, 200),
+    })
+  );
+}));
+
+app.get("/api/models/:strategy/shadow/compare", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  modelResult(res, await compareShadow(req.params.strategy));
+}));
+
+app.post("/api/models/:strategy/shadow/promote", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  modelResult(res, await promoteShadow(req.params.strategy));
+}));
+
+app.post("/api/models/:strategy/shadow/drop", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  res.json({ strategy: req.params.strategy, dropped: await dropShadow(req.params.strategy) });
+}));
+
+// Bot management
+function botResult(res, out) {
+  if (out.error) return res.status(out.notFound ? 404 : out.conflict ? 409 : 400).json({ error: out.error });
+  res.json(out);
+}
+
+app.get("/api/bots", asyncRoute(async (_req, res) => {
+  if (!hasDb) return res.json({ items: BOTS.map((b) => ({ ...b, loaded: true })) });
+  res.json({ items: await listBots() });
+}));
+
+app.post("/api/bots", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const b = req.body || {};
+  botResult(
+    res,
+    await createBot({
+      bot: String(b.bot || "").trim(),
+      strategy: String(b.strategy || "").trim(),
+      label: b.label ? String(b.label).slice(0, 80) : null,
+      params: b.params,
+      cash: b.cash ?? 100000,
+      goal: b.goal ?? 150000,
+      currency: b.currency || "USD",
+    })
+  );
+}));
+
+app.post("/api/bots/:bot", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const b = req.body || {};
+  botResult(res, await updateBot(req.params.bot, { label: b.label, params: b.params, goal: b.goal }));
+}));
+
+app.post("/api/bots/:bot/pause", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const r = await dbQuery(`SELECT paused FROM bot_accounts WHERE bot=$1`, [req.params.bot]);
+  if (!r.rows[0]) return res.status(404).json({ error: "Unknown bot" });
+  await pauseBot(req.params.bot, String(req.body?.reason || "Paused by operator").slice(0, 200));
+  res.json({ bot: req.params.bot, paused: true });
+}));
+
+app.post("/api/bots/:bot/resume", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  botResult(res, await resumeBot(req.params.bot));
+}));
+
+app.post("/api/bots/:bot/liquidate", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  botResult(res, await liquidateBot(req.params.bot, { reason: String(req.body?.reason || "Manual liquidation").slice(0, 200) }));
+}));
+
+app.post("/api/bots/:bot/reset", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const b = req.body || {};
+  botResult(res, await resetBot(req.params.bot, { cash: b.cash ?? 100000, goal: b.goal, resetWeights: !!b.resetWeights }));
+}));
+
+// Order book
+app.get("/api/orders", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const bot = String(req.query.bot || "").trim();
+  const status = String(req.query.status || "").trim();
+  const limit = intParam(req.query.limit, 100, { min: 1, max: 500 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const r = await dbQuery(
+    `
+    SELECT id, created_at, updated_at, bot, symbol, side, type, qty, limit_price, stop_price, tif, status,
+           parent_id, oco_group, expires_at, triggered_at, filled_price, filled_trade_id, reject_reason, rationale, horizon
+    FROM bot_orders
+    WHERE ($1 = '' OR bot = $1)
+      AND ($2 = '' OR status = ANY(string_to_array($2, ',')))
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `,
+    [bot, status, limit]
+  );
+  res.json({ items: r.rows });
+}));
+
+app.post("/api/orders", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const b = req.body || {};
+  const market = marketForSymbol(String(b.symbol || ""));
+  try {
+    const out = await placeOrder(
+      {
+        bot: String(b.bot || "").trim(),
+        symbol: String(b.symbol || "").toUpperCase().trim(),
+        side: String(b.side || "").toUpperCase(),
+        type: String(b.type || "market"),
+        tif: String(b.tif || "gtc"),
+        qty: b.qty,
+        limitPrice: b.limitPrice,
+        stopPrice: b.stopPrice,
+        expiresAt: b.expiresAt,
+        bracket: b.bracket
+          ? { takeProfitPct: Number(b.bracket.takeProfitPct || 0), stopLossPct: Number(b.bracket.stopLossPct || 0), tif: b.bracket.tif || "gtc" }
+          : null,
+        rationale: String(b.rationale || "Manual order"),
+        horizon: String(b.horizon || "medium"),
+      },
+      { marketOpen: market.open }
+    );
+    if (out.status === "invalid") return res.status(400).json(out);
+    await emitEvent("order_placed", { id: out.order?.id, bot: out.order?.bot, symbol: out.order?.symbol, status: out.status });
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Order failed" });
+  }
+}));
+
+app.post("/api/orders/:id/cancel", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const id = intParam(req.params.id, null, { min: 1, max: Number.MAX_SAFE_INTEGER });
+  if (id === null) return res.status(400).json({ error: "Invalid order id" });
+  const cancelled = await cancelOrder(id);
+  res.json({ id, cancelled });
+}));
+
+// Realized P&L from the lot ledger, grouped per bot + symbol
+app.get("/api/pnl/realized", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const bot = String(req.query.bot || "").trim();
+  const symbol = String(req.query.symbol || "").toUpperCase().trim();
+  const days = Math.max(0, Math.min(3650, Math.floor(Number(req.query.days || 0) || 0)));
+  try {
+    const items = await getRealizedPnl({ bot, symbol, days });
+    const total = items.reduce((sum, x) => sum + x.realizedPnl, 0);
+    res.json({ bot: bot || null, symbol: symbol || null, days: days || null, total, items });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Realized P&L failed" });
+  }
+}));
+
+// Lot-level detail: every close linked to its SELL trade and the lot it consumed
+app.get("/api/pnl/closes/:bot", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const bot = String(req.params.bot || "").trim();
+  const symbol = String(req.query.symbol || "").toUpperCase().trim();
+  const limit = intParam(req.query.limit, 100, { min: 1, max: 500 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const r = await dbQuery(
+    `
+    SELECT c.id, c.closed_at, c.symbol, c.sell_trade_id, c.lot_id, l.open_trade_id, l.opened_at,
+           c.qty, c.open_price, c.cost_basis, c.close_price, c.realized_pnl, c.holding_sec, c.method
+    FROM bot_lot_closes c
+    JOIN bot_lots l ON l.id = c.lot_id
+    WHERE c.bot=$1 AND ($2 = '' OR c.symbol = $2)
+    ORDER BY c.closed_at DESC, c.id DESC
+    LIMIT $3
+  `,
+    [bot, symbol, limit]
+  );
+  res.json({ items: r.rows });
+}));
 
 // Arena Top 8 news
-app.get("/api/news/general", async (_req, res) => {
+app.get("/api/news/general", asyncRoute(async (_req, res) => {
   const data = await getGeneralNews(8);
-  res.json(data);
-});
+  res.json({ ...data, items: await attachNewsImpact(data.items) });
+}));
 
-// Bot fight on-demand
-app.get("/api/bots/:symbol", async (req, res) => {
+// Bot fight on-demand (may place trades, so POST only)
+// Runs on the leader and shares the runner's in-flight set, so it never overlaps a runner fight
+app.post("/api/fight/:symbol", asyncRoute(async (req, res) => {
   const symbol = String(req.params.symbol || "").toUpperCase().trim();
+  if (!leader.isLeader) return res.status(409).json({ error: "Fights run on the runner leader", leader: (await getLeaderStatus()).leaderInstance });
+  if (runner.inFlight.has(symbol)) return res.status(409).json({ error: `${symbol} is already being fought` });
+  runner.inFlight.set(symbol, Date.now());
   try {
     const out = await fightSymbol(symbol);
     res.json({
@@ -730,77 +5239,272 @@ app.get("/api/bots/:symbol", async (req, res) => {
       features: out.features,
       bots: out.bots,
       winner: out.winner,
+      trades: out.trades,
     });
   } catch (e) {
     res.status(500).json({ error: e.message || "Fight failed" });
+  } finally {
+    runner.inFlight.delete(symbol);
   }
-});
+}));
+
+// Auth: trade an API key for a session cookie; keys are admin-managed and shown only once
+app.post("/api/auth/login", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const auth = await resolveApiKey(String(req.body?.apiKey || "").trim());
+  if (!auth) return res.status(401).json({ error: "Invalid API key" });
+  const token = crypto.randomBytes(32).toString("hex");
+  const expires = new Date(Date.now() + SESSION_TTL_HOURS * 3600000);
+  await dbQuery(`INSERT INTO auth_sessions(token_hash, key_id, name, role, expires_at) VALUES ($1,$2,$3,$4,$5)`, [
+    sha256(token),
+    auth.keyId,
+    auth.name,
+    auth.role,
+    expires.toISOString(),
+  ]);
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: "lax", secure: req.secure, expires, path: "/" });
+  res.json({ name: auth.name, role: auth.role, expiresAt: expires.toISOString() });
+}));
+
+app.post("/api/auth/logout", asyncRoute(async (req, res) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token && hasDb) {
+    await dbQuery(`DELETE FROM auth_sessions WHERE token_hash=$1`, [sha256(token)]);
+    authCache.delete(`s:${sha256(token)}`);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ ok: true });
+}));
+
+app.get("/api/auth/me", asyncRoute((req, res) => {
+  res.json({ name: req.auth.name, role: req.auth.role, via: req.auth.via, anonymousRole: AUTH_ANONYMOUS_ROLE });
+}));
+
+app.get("/api/auth/keys", asyncRoute(async (_req, res) => {
+  if (!hasDb) return res.json({ items: [] });
+  const r = await dbQuery(`SELECT id, name, role, prefix, created_by, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id ASC`);
+  res.json({ items: r.rows });
+}));
+
+app.post("/api/auth/keys", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const name = String(req.body?.name || "").trim().slice(0, 80);
+  const role = String(req.body?.role || "");
+  if (!name) return res.status(400).json({ error: "name is required" });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+  const key = await createApiKey({ name, role, createdBy: req.auth.name });
+  await emitEvent("api_key_created", { id: Number(key.id), name, role, by: req.auth.name });
+  res.json(key);
+}));
+
+app.post("/api/auth/keys/:id/revoke", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const out = await revokeApiKey(Number(req.params.id));
+  if (!out) return res.status(404).json({ error: "No active key with that id" });
+  await emitEvent("api_key_revoked", { id: Number(out.id), name: out.name, by: req.auth.name });
+  res.json({ ok: true, id: Number(out.id) });
+}));
 
 // Settings
-app.get("/api/settings", async (_req, res) => {
-  const speed = (await getSetting("learning_speed")) || { mode: "realtime", evalAfterSec: 3600 };
-  const universe = (await getSetting("universe")) || { mode: "auto", custom: [] };
-  res.json({ learning_speed: speed, universe });
-});
+app.get("/api/settings", asyncRoute(async (_req, res) => {
+  const out = {};
+  for (const [key, def] of Object.entries(SETTINGS)) out[key] = (await getSetting(key)) || def.empty;
+  res.json(out);
+}));
 
-app.post("/api/settings/learning_speed", async (req, res) => {
-  const mode = String(req.body?.mode || "realtime");
-  const evalAfterSec = Number(req.body?.evalAfterSec || 3600);
-  const v = { mode, evalAfterSec };
-  await setSetting("learning_speed", v);
-  res.json(v);
-});
+// Who changed which setting, newest first: ?key=&limit=&cursor=
+app.get("/api/settings/audit", asyncRoute(async (req, res) => {
+  if (!hasDb) return res.json({ items: [], nextCursor: null });
+  const limit = intParam(req.query.limit, 50, { min: 1, max: 200 });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  const vals = [limit];
+  const where = [];
+  if (req.query.key) {
+    vals.push(String(req.query.key));
+    where.push(`key = $${vals.length}`);
+  }
+  if (req.query.cursor) {
+    const cursor = intParam(req.query.cursor, null);
+    if (!(cursor >= 1)) return res.status(400).json({ error: "Invalid cursor" });
+    vals.push(cursor);
+    where.push(`id < $${vals.length}`);
+  }
+  try {
+    const r = await dbQuery(
+      `SELECT id, ts, key, version, actor, role, via, before, after FROM settings_audit ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT $1`,
+      vals
+    );
+    res.json({ items: r.rows, nextCursor: r.rows.length === limit ? Number(r.rows[r.rows.length - 1].id) : null });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Settings audit query failed" });
+  }
+}));
+
+app.get("/api/settings/news_impact", asyncRoute(async (_req, res) => {
+  const v = (await getSetting("news_impact")) || SETTINGS.news_impact.empty;
+  res.json({ ...v, active: await getImpactRules(), defaults: DEFAULT_IMPACT_RULES });
+}));
+
+// Runner takes a patch over the saved overrides; applied from the next tick
+app.post("/api/settings/runner", asyncRoute(async (req, res) => {
+  const checked = await checkSetting("runner", req.body);
+  if (checked.errors) return res.status(400).json({ error: "Invalid runner setting", errors: checked.errors });
+  await saveRunnerConfig(checked.value, auditOf(req));
+  scheduleRunner();
+  res.json(runnerOverrides);
+}));
+
+// Replaces the whole value; ?verify=0 skips provider lookups (universe symbols)
+app.post("/api/settings/:key", asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  if (!Object.hasOwn(SETTINGS, key)) return res.status(404).json({ error: `Unknown setting ${key}` });
+  const out = await saveSettingValue(key, req.body, auditOf(req), { verify: req.query.verify !== "0" });
+  if (out.errors) return res.status(400).json({ error: `Invalid ${key} setting`, errors: out.errors });
+  res.json(out.value);
+}));
+
+// Versions, newest first: ?limit=&cursor=
+app.get("/api/settings/:key/versions", asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  if (!Object.hasOwn(SETTINGS, key)) return res.status(404).json({ error: `Unknown setting ${key}` });
+  const limit = intParam(req.query.limit, 50, { min: 1, max: 200 });
+  const cursor = intParam(req.query.cursor, null, { min: 0, max: PG_INT_MAX });
+  if (limit === null) return res.status(400).json({ error: "Invalid limit" });
+  if (req.query.cursor && cursor === null) return res.status(400).json({ error: "Invalid cursor" });
+  const items = await listSettingVersions(key, { limit, cursor });
+  res.json({
+    key,
+    current: await getSettingCurrentVersion(key),
+    items,
+    nextCursor: items.length === limit ? items[items.length - 1].version : null,
+  });
+}));
 
-app.post("/api/settings/universe", async (req, res) => {
-  const mode = String(req.body?.mode || "auto");
-  const custom = Array.isArray(req.body?.custom) ? req.body.custom : [];
-  const clean = custom.map(s => String(s || "").toUpperCase().trim()).filter(Boolean).slice(0, 500);
-  const v = { mode, custom: clean };
-  await setSetting("universe", v);
-  res.json(v);
+app.get("/api/settings/:key/versions/:version", asyncRoute(async (req, res) => {
+  const version = intParam(req.params.version, null, { min: 0, max: PG_INT_MAX });
+  if (version === null) return res.status(400).json({ error: "Invalid version" });
+  const v = Object.hasOwn(SETTINGS, req.params.key) ? await getSettingVersion(req.params.key, version) : null;
+  if (!v) return res.status(404).json({ error: "Unknown setting version" });
+  res.json({ key: req.params.key, ...v });
+}));
+
+// ?from=<version>&to=<version>; to defaults to the current version, from to the one before it
+app.get("/api/settings/:key/diff", asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  if (!Object.hasOwn(SETTINGS, key)) return res.status(404).json({ error: `Unknown setting ${key}` });
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const to = req.query.to ? intParam(req.query.to, null, { min: 0, max: PG_INT_MAX }) : (await getSettingCurrentVersion(key)) ?? 0;
+  const from = req.query.from ? intParam(req.query.from, null, { min: 0, max: PG_INT_MAX }) : Math.max(0, to - 1);
+  if (to === null || from === null) return res.status(400).json({ error: "from and to must be integer versions" });
+  const a = await getSettingVersion(key, from);
+  const b = await getSettingVersion(key, to);
+  if (!a || !b) return res.status(404).json({ error: "Unknown setting version" });
+  res.json({ key, from, to, items: diffSettings(a.value, b.value) });
+}));
+
+// { version }: saves that version's value again as a new version
+app.post("/api/settings/:key/revert", asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  if (!Object.hasOwn(SETTINGS, key)) return res.status(404).json({ error: `Unknown setting ${key}` });
+  if (!hasDb) return res.status(503).json({ error: "DB not configured" });
+  const version = intParam(req.body?.version, null, { min: 0, max: PG_INT_MAX });
+  if (version === null) return res.status(400).json({ error: "version must be an integer" });
+  const old = await getSettingVersion(key, version);
+  if (!old) return res.status(404).json({ error: "Unknown setting version" });
+  const out = await saveSettingValue(key, old.value, { ...auditOf(req), note: `revert to v${version}` }, { verify: false });
+  if (out.errors) return res.status(409).json({ error: `Version ${version} no longer passes the ${key} schema`, errors: out.errors });
+  await emitEvent("settings_reverted", { key, to: version, version: out.version, by: req.auth.name });
+  res.json({ key, version: out.version, revertedTo: version, value: out.value });
+}));
+
+// Errors from asyncRoute handlers and body parsing; streams that already started just close
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.log(`[api] ${req.method} ${req.path} failed: ${err.message || err}`);
+  res.status(status).json({ error: err.message || "Request failed" });
 });
 
 // -----------------------------
 // Boot + WS + Runner loop
 // -----------------------------
-const server = app.listen(PORT, async () => {
-  console.log(`Server on :${PORT}`);
-  await dbInit();
-  await ensureBotAccounts();
-  await emitEvent("server_booted", { ok: true });
-});
+// Only when run directly (npm start); tests import this module for its functions and app
+const IS_MAIN = !!process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
-wss = new WebSocketServer({ server, path: "/ws" });
-wss.on("connection", (ws) => {
-  wsClients.add(ws);
-  ws.on("close", () => wsClients.delete(ws));
-  ws.send(JSON.stringify({ type: "hello", ts: new Date().toISOString(), payload: { ok: true } }));
-});
+async function startServer() {
+  const calendarYearsLoaded = await loadMarketCalendar();
+  console.log(`[calendar] ${calendarYearsLoaded.join(", ") || "no files, weekday sessions only"}`);
 
-async function runnerTick() {
-  const market = isMarketOpen();
-  const { symbol, nextSymbol, state } = await nextSymbol();
+  const loadedStrategies = await loadStrategies();
+  console.log(`[strategies] loaded: ${loadedStrategies.join(", ") || "none"}`);
 
-  await emitEvent("runner_state", { ...state, market, nextSymbol });
-  await emitEvent("carousel_tick", { symbol, market });
+  const server = app.listen(PORT, async () => {
+    console.log(`Server on :${PORT}`);
+    await dbInit();
+    if (hasDb) lastEventId = Number((await dbQuery(`SELECT MAX(id) AS id FROM events`)).rows[0].id) || 0;
+    await loadVenueSettings();
+    await ensureBotAccounts();
+    await emitEvent("server_booted", { ok: true, instance: INSTANCE_ID });
+    await loadRunnerConfig();
+    await startLeaderElection();
+  });
 
-  try {
-    const out = await fightSymbol(symbol);
-    await emitEvent("bot_fight", {
-      symbol,
-      winner: out.winner,
-      tradesAllowed: out.tradesAllowed,
+  // Upgrades are authenticated like HTTP requests and need the viewer role
+  wss = new WebSocketServer({
+    server,
+    path: "/ws",
+    verifyClient: ({ req }, done) => {
+      authenticate(req)
+        .then((auth) => {
+          req.auth = auth;
+          if (auth.invalid) return done(false, 401, "Invalid API key");
+          if (!hasRole(auth, "viewer")) return done(false, 401, "Authentication required");
+          done(true);
+        })
+        .catch(() => done(false, 503, "Auth unavailable"));
+    },
+  });
+  wss.on("connection", (ws, req) => {
+    const q = new URL(req.url, "http://localhost").searchParams;
+    ws.topics = new Set(cleanTopics(q.get("topics")));
+    ws.auth = req.auth;
+    ws.isAlive = true;
+    ws.replaying = false;
+    ws.pending = [];
+    ws.deliver = (obj) => wsSend(ws, obj);
+    ws.on("pong", () => {
+      ws.isAlive = true;
     });
+    ws.on("message", (raw) => wsHandle(ws, raw).catch(() => {}));
+    ws.on("close", () => wsClients.delete(ws));
+    wsClients.add(ws);
 
-    if (out.learningEvaluated) {
-      await emitEvent("learning_evaluated", { evaluated: out.learningEvaluated });
-    }
-  } catch (e) {
-    await emitEvent("runner_error", { symbol, error: e.message || String(e) });
-  }
+    wsSend(ws, {
+      type: "hello",
+      ts: new Date().toISOString(),
+      payload: { ok: true, protocol: WS_PROTOCOL, instance: INSTANCE_ID, topics: [...ws.topics], lastEventId, role: req.auth?.role || null },
+    });
+    if (q.has("lastId")) replayEvents(ws, q.get("lastId")).catch(() => {});
+  });
+  startWsHeartbeat();
 }
 
-if (RUNNER_ENABLED) {
-  setInterval(() => runnerTick().catch(() => {}), Math.max(2, RUNNER_INTERVAL_SEC) * 1000);
-  runnerTick().catch(() => {});
-}
+if (IS_MAIN) await startServer();
+
+export {
+  app,
+  analyzeNewsImpact,
+  checkSetting,
+  checkValue,
+  computePositionSize,
+  DEFAULT_IMPACT_RULES,
+  DEFAULT_RISK,
+  DEFAULT_SIZING,
+  evaluateRiskRules,
+  executeTrade,
+  getTradingDay,
+  getVenue,
+  isMarketOpen,
+  loadMarketCalendar,
+  SETTINGS,
+};
@@ -0,0 +1,23 @@
+// strategies/day_trade.js (ESM)
+export default {
+  id: "day_trade",
+  label: "Day Trade",
+  horizon: "short",
+  features: ["avgSent", "changePercent", "rsi_14", "ret_5", "atr_14_pct"],
+  decide({ changePercent, rsi_14 }, { params = {} } = {}) {
+    // Fade stretched moves once there is enough history for RSI
+    if (rsi_14 !== null && rsi_14 !== undefined) {
+      const low = Number(params.rsiLow ?? 30);
+      const high = Number(params.rsiHigh ?? 70);
+      if (rsi_14 <= low) return { signal: "BUY", confidence: 62, why: `Oversold (RSI ${rsi_14.toFixed(0)})` };
+      if (rsi_14 >= high) return { signal: "SELL", confidence: 61, why: `Overbought (RSI ${rsi_14.toFixed(0)})` };
+    }
+
+    const threshold = Number(params.threshold ?? 0.7);
+    if (Math.abs(changePercent) > threshold) {
+      const dir = changePercent < 0 ? "BUY" : "SELL";
+      return { signal: dir, confidence: 60, why: "Short-term volatility reaction" };
+    }
+    return { signal: "HOLD", confidence: 53, why: "Range noise" };
+  },
+};
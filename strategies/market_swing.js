@@ -0,0 +1,15 @@
+// strategies/market_swing.js (ESM)
+export default {
+  id: "market_swing",
+  label: "Market Swing",
+  horizon: "medium",
+  features: ["avgSent", "changePercent", "ema_cross_12_26", "ret_20"],
+  decide({ avgSent, changePercent, ema_cross_12_26 }) {
+    // Without enough history the trend filter is skipped
+    const up = ema_cross_12_26 === null || ema_cross_12_26 === undefined || ema_cross_12_26 > 0;
+    const down = ema_cross_12_26 === null || ema_cross_12_26 === undefined || ema_cross_12_26 < 0;
+    if (avgSent > 0.05 && changePercent < 0 && up) return { signal: "BUY", confidence: 64, why: "Positive news + dip = swing entry" };
+    if (avgSent < -0.1 && changePercent > 0 && down) return { signal: "SELL", confidence: 63, why: "Negative news + pop = exit/reversal" };
+    return { signal: "HOLD", confidence: 54, why: "No swing setup" };
+  },
+};
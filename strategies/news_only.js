@@ -0,0 +1,13 @@
+// strategies/news_only.js (ESM)
+export default {
+  id: "news_only",
+  label: "News-Only",
+  horizon: "short",
+  features: ["avgSent", "changePercent"],
+  decide({ avgSent }, { params = {} } = {}) {
+    const threshold = Number(params.threshold ?? 0.18);
+    if (avgSent > threshold) return { signal: "BUY", confidence: 66, why: "Trades strictly on positive news cluster" };
+    if (avgSent < -threshold) return { signal: "SELL", confidence: 66, why: "Trades strictly on negative news cluster" };
+    return { signal: "HOLD", confidence: 55, why: "News signal not strong enough" };
+  },
+};
@@ -0,0 +1,12 @@
+// strategies/sp500_long.js (ESM)
+export default {
+  id: "sp500_long",
+  label: "S&P500 Long",
+  horizon: "long",
+  features: ["avgSent", "changePercent", "sma_cross_10_30", "ret_20"],
+  decide({ avgSent }) {
+    if (avgSent > 0.15) return { signal: "BUY", confidence: 62, why: "Positive news drift (long horizon)" };
+    if (avgSent < -0.2) return { signal: "HOLD", confidence: 58, why: "Negative sentiment; long bot avoids churn" };
+    return { signal: "HOLD", confidence: 55, why: "No long-term edge detected" };
+  },
+};
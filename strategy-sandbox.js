@@ -0,0 +1,33 @@
+// strategy-sandbox.js (ESM) — worker thread hosting one third-party strategy plugin
+// The worker contains crashes and hangs only; it is not a security boundary. Plugin code can
+// still use fs, the network and child processes, so only install plugins you trust.
+import { parentPort, workerData } from "worker_threads";
+import { pathToFileURL } from "url";
+
+let plugin = null;
+
+try {
+  const mod = await import(pathToFileURL(workerData.file).href);
+  plugin = mod.default || mod;
+  parentPort.postMessage({
+    type: "meta",
+    meta: {
+      id: plugin.id,
+      label: plugin.label,
+      horizon: plugin.horizon,
+      features: plugin.features,
+      hasDecide: typeof plugin.decide === "function",
+    },
+  });
+} catch (e) {
+  parentPort.postMessage({ type: "load_error", error: e.message || String(e) });
+}
+
+parentPort.on("message", async ({ id, features, context }) => {
+  try {
+    const out = await plugin.decide(features, context);
+    parentPort.postMessage({ type: "decision", id, out });
+  } catch (e) {
+    parentPort.postMessage({ type: "decision", id, error: e.message || String(e) });
+  }
+});
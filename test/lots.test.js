@@ -0,0 +1,81 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { dbInit, dbQuery, hasDb, pool } from "../db.js";
+import { executeTrade } from "../server.js";
+
+// Needs DATABASE_URL (with the default fifo accounting setting); writes to the bot_* tables under
+// a throwaway bot id and removes it afterwards
+const skip = hasDb ? false : "DATABASE_URL not set";
+const bot = `test_lots_${process.pid}`;
+const symbol = "AAPL";
+
+async function cleanup() {
+  for (const table of ["bot_lot_closes", "bot_lots", "bot_orders", "bot_trades", "bot_positions", "bot_accounts"]) {
+    await dbQuery(`DELETE FROM ${table} WHERE bot=$1`, [bot]);
+  }
+}
+
+const trade = (side, qty, price) => executeTrade({ bot, symbol, side, qty, price });
+const position = async () => (await dbQuery(`SELECT qty, avg_price FROM bot_positions WHERE bot=$1 AND symbol=$2`, [bot, symbol])).rows[0];
+const openLots = async () =>
+  (await dbQuery(`SELECT remaining_qty, price FROM bot_lots WHERE bot=$1 AND remaining_qty > 0 ORDER BY id`, [bot])).rows.map((l) => [Number(l.remaining_qty), Number(l.price)]);
+
+before(async () => {
+  if (!hasDb) return;
+  await dbInit();
+  await cleanup();
+  await dbQuery(`INSERT INTO bot_accounts(bot, cash) VALUES ($1, 100000)`, [bot]);
+});
+
+after(async () => {
+  if (!hasDb) return;
+  await cleanup();
+  await pool.end();
+});
+
+test("each buy opens a lot and sells close the oldest lots first", { skip }, async () => {
+  assert.equal((await trade("BUY", 10, 100)).status, "filled");
+  assert.equal((await trade("BUY", 10, 110)).status, "filled");
+  assert.deepEqual(await openLots(), [[10, 100], [10, 110]]);
+
+  const sold = await trade("SELL", 15, 120);
+  assert.equal(sold.status, "filled");
+  assert.equal(sold.realized, 250);
+  assert.deepEqual(await openLots(), [[5, 110]]);
+
+  const pos = await position();
+  assert.equal(Number(pos.qty), 5);
+  assert.equal(Number(pos.avg_price), 110);
+
+  const closes = await dbQuery(`SELECT qty, open_price, realized_pnl, sell_trade_id FROM bot_lot_closes WHERE bot=$1 ORDER BY id`, [bot]);
+  assert.deepEqual(
+    closes.rows.map((c) => [Number(c.qty), Number(c.open_price), Number(c.realized_pnl)]),
+    [
+      [10, 100, 200],
+      [5, 110, 50],
+    ]
+  );
+  assert.ok(closes.rows.every((c) => Number(c.sell_trade_id) === Number(sold.trade.id)));
+});
+
+test("selling more than is held closes the rest and flattens the position", { skip }, async () => {
+  const sold = await trade("SELL", 50, 90);
+  assert.equal(sold.qty, 5);
+  assert.equal(sold.realized, -100);
+  assert.deepEqual(await openLots(), []);
+
+  const pos = await position();
+  assert.equal(Number(pos.qty), 0);
+  assert.equal(Number(pos.avg_price), 0);
+
+  const account = (await dbQuery(`SELECT cash, realized_pnl FROM bot_accounts WHERE bot=$1`, [bot])).rows[0];
+  assert.equal(Number(account.realized_pnl), 150);
+  assert.equal(Number(account.cash), 100150);
+});
+
+test("a sell with nothing held is rejected without touching the lots", { skip }, async () => {
+  const out = await trade("SELL", 1, 100);
+  assert.equal(out.status, "rejected");
+  assert.equal(out.reason, "no_position");
+  assert.equal((await dbQuery(`SELECT COUNT(*)::int AS n FROM bot_lot_closes WHERE bot=$1`, [bot])).rows[0].n, 3);
+});
@@ -0,0 +1,72 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { getTradingDay, getVenue, isMarketOpen, loadMarketCalendar } from "../server.js";
+
+before(async () => {
+  await loadMarketCalendar();
+});
+
+test("getTradingDay reads NYSE holidays and early closes from calendars/nyse-2026.json", () => {
+  const us = getVenue("us");
+  const thanksgiving = getTradingDay("2026-11-26", us);
+  assert.equal(thanksgiving.trading, false);
+  assert.equal(thanksgiving.holiday, "Thanksgiving Day");
+
+  const friday = getTradingDay("2026-11-27", us);
+  assert.equal(friday.trading, true);
+  assert.deepEqual(friday.sessions.regular, [570, 780]);
+  assert.deepEqual(friday.sessions.after, [780, 1020]);
+  assert.equal(friday.earlyClose.name, "Day after Thanksgiving");
+
+  assert.equal(getTradingDay("2026-11-28", us).reason, "Weekend");
+});
+
+test("getTradingDay falls back to weekday sessions for a year without a file", () => {
+  const day = getTradingDay("2030-01-02", getVenue("us"));
+  assert.equal(day.trading, true);
+  assert.equal(day.calendarLoaded, false);
+  assert.deepEqual(day.sessions.regular, [570, 960]);
+});
+
+test("getTradingDay keeps venues that require a calendar closed without one", () => {
+  const lse = getVenue("lse");
+  assert.equal(getTradingDay("2026-04-06", lse).holiday, "Easter Monday");
+  assert.deepEqual(getTradingDay("2026-04-07", lse).sessions.regular, [480, 990]);
+
+  const missing = getTradingDay("2030-01-02", lse);
+  assert.equal(missing.trading, false);
+  assert.equal(missing.reason, "No lse calendar for 2030");
+});
+
+test("isMarketOpen follows the NYSE sessions in New York time", () => {
+  const us = getVenue("us");
+  const at = (iso) => isMarketOpen(new Date(iso), us);
+
+  assert.equal(at("2026-10-20T14:00:00Z").session, "regular");
+  assert.equal(at("2026-10-20T14:00:00Z").open, true);
+  assert.equal(at("2026-10-20T12:00:00Z").session, "pre");
+  assert.equal(at("2026-10-20T21:00:00Z").session, "after");
+  assert.equal(at("2026-10-21T01:00:00Z").session, "closed");
+
+  const holiday = at("2026-11-26T16:00:00Z");
+  assert.equal(holiday.open, false);
+  assert.equal(holiday.holiday, "Thanksgiving Day");
+  assert.equal(holiday.nextOpen, "2026-11-27T14:30:00.000Z");
+
+  assert.equal(at("2026-11-27T17:30:00Z").open, true);
+  assert.equal(at("2026-11-27T18:30:00Z").open, false);
+  assert.equal(at("2026-11-27T22:30:00Z").reason, "Closed early (Day after Thanksgiving)");
+});
+
+test("isMarketOpen uses the venue's timezone", () => {
+  const lse = getVenue("lse");
+  assert.equal(isMarketOpen(new Date("2026-10-20T08:30:00Z"), lse).open, true);
+  assert.equal(isMarketOpen(new Date("2026-10-20T15:45:00Z"), lse).open, false);
+  assert.equal(isMarketOpen(new Date("2026-10-20T15:15:00Z"), getVenue("xetra")).open, true);
+});
+
+test("isMarketOpen keeps crypto open on weekends", () => {
+  const out = isMarketOpen(new Date("2026-11-28T03:00:00Z"), getVenue("crypto"));
+  assert.equal(out.open, true);
+  assert.equal(out.nextOpen, null);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeNewsImpact, DEFAULT_IMPACT_RULES } from "../server.js";
+
+const analyze = (title, known) => analyzeNewsImpact({ title, summary: "" }, DEFAULT_IMPACT_RULES, known);
+
+test("analyzeNewsImpact ranks company hits above sector hits", () => {
+  const out = analyze("Nvidia unveils a faster GPU");
+  assert.deepEqual(out.tickers, ["NVDA", "AVGO"]);
+  assert.deepEqual(out.ruleHits, ["company:nvidia", "sector:chips"]);
+  assert.equal(out.horizon, "short");
+  assert.equal(out.confidence, 86);
+});
+
+test("analyzeNewsImpact matches whole words only", () => {
+  const out = analyze("Chairman said evsmart plans were oily");
+  assert.deepEqual(out.tickers, []);
+  assert.equal(out.horizon, null);
+  assert.equal(out.confidence, 0);
+  assert.equal(out.why, "No company, sector or macro rule matched.");
+});
+
+test("analyzeNewsImpact picks up $TICKER and known bare symbols", () => {
+  const out = analyze("AMD and $TSLA rally while ABC lags", new Set(["AMD"]));
+  assert.deepEqual(out.tickers, ["AMD", "TSLA"]);
+  assert.deepEqual(out.ruleHits, ["ticker:TSLA", "ticker:AMD"]);
+});
+
+test("analyzeNewsImpact uses the macro horizon when only a macro rule matches", () => {
+  const out = analyze("Fed signals a rate cut");
+  assert.deepEqual(out.tickers, ["AAPL", "AMZN", "MSFT", "NVDA"]);
+  assert.equal(out.horizon, "medium");
+  assert.equal(out.confidence, 44);
+});
+
+test("analyzeNewsImpact honours rule weight and horizon overrides", () => {
+  const rules = [{ id: "widgets", kind: "macro", match: ["widget"], tickers: ["WDGT"], horizon: "long", weight: 2 }];
+  const out = analyzeNewsImpact({ title: "Widget demand", summary: "A widget shortage" }, rules);
+  assert.deepEqual(out.tickers, ["WDGT"]);
+  assert.equal(out.horizon, "long");
+  assert.equal(out.confidence, 95);
+  assert.match(out.why, /macro "widget" → WDGT/);
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computePositionSize, DEFAULT_RISK, DEFAULT_SIZING, evaluateRiskRules } from "../server.js";
+
+const state = (o = {}) => ({
+  equity: 100000,
+  peak: 100000,
+  dayStart: 100000,
+  positions: new Map(),
+  tradesToday: 0,
+  paused: false,
+  pausedReason: null,
+  ...o,
+});
+const buy = (qty, price = 100, symbol = "AAPL") => ({ symbol, side: "BUY", qty, price });
+const sell = (qty, price = 100, symbol = "AAPL") => ({ symbol, side: "SELL", qty, price });
+
+test("evaluateRiskRules passes an order inside every limit", () => {
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state(), buy(10)), null);
+});
+
+test("evaluateRiskRules blocks everything while paused", () => {
+  const block = evaluateRiskRules(DEFAULT_RISK, state({ paused: true, pausedReason: "manual" }), sell(1));
+  assert.deepEqual(block, { rule: "paused", detail: "manual" });
+});
+
+test("evaluateRiskRules pauses on max drawdown, even for reducing orders", () => {
+  const positions = new Map([["AAPL", { qty: 10, value: 1000 }]]);
+  const block = evaluateRiskRules(DEFAULT_RISK, state({ equity: 84000, positions }), sell(5));
+  assert.equal(block.rule, "max_drawdown");
+  assert.equal(block.pause, true);
+});
+
+test("evaluateRiskRules caps trades per day", () => {
+  const block = evaluateRiskRules(DEFAULT_RISK, state({ tradesToday: 40 }), buy(1));
+  assert.equal(block.rule, "max_trades_per_day");
+  assert.equal(block.pause, undefined);
+});
+
+test("evaluateRiskRules lets a reducing order through the daily loss limit", () => {
+  const s = state({ dayStart: 104000, positions: new Map([["AAPL", { qty: 10, value: 1000 }]]) });
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, s, buy(1)).rule, "daily_loss_limit");
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, s, sell(5)), null);
+});
+
+test("evaluateRiskRules limits a single position", () => {
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state(), buy(200)), null);
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state(), buy(201)).rule, "max_position");
+});
+
+test("evaluateRiskRules treats a flip from long to short as a new position", () => {
+  const positions = new Map([["AAPL", { qty: 10, value: 1000 }]]);
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state({ positions }), sell(300)).rule, "max_position");
+});
+
+test("evaluateRiskRules limits gross exposure across symbols", () => {
+  const positions = new Map([["MSFT", { qty: 175, value: 70000 }]]);
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state({ positions }), buy(100)), null);
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state({ positions }), buy(150)).rule, "max_gross_exposure");
+});
+
+test("evaluateRiskRules counts short positions at their absolute value", () => {
+  const positions = new Map([["MSFT", { qty: -175, value: -70000 }]]);
+  assert.equal(evaluateRiskRules(DEFAULT_RISK, state({ positions }), buy(150)).rule, "max_gross_exposure");
+});
+
+const sizing = (o = {}) => ({ ...DEFAULT_SIZING, scaleByConfidence: false, ...o });
+const inputs = (o = {}) => ({ equity: 100000, price: 50, confidence: 60, ...o });
+
+test("computePositionSize sizes a percent of equity in whole shares", () => {
+  const out = computePositionSize(sizing(), inputs({ price: 30 }));
+  assert.equal(out.qty, 66);
+  assert.equal(out.dollars, 1980);
+});
+
+test("computePositionSize scales by confidence", () => {
+  assert.equal(computePositionSize(sizing({ scaleByConfidence: true }), inputs({ confidence: 70 })).qty, 60);
+  assert.equal(computePositionSize(sizing({ scaleByConfidence: true }), inputs({ confidence: 50 })).qty, 20);
+});
+
+test("computePositionSize caps at maxPct of equity", () => {
+  const out = computePositionSize(sizing({ mode: "fixed_dollar", dollars: 50000 }), inputs());
+  assert.equal(out.capped, true);
+  assert.equal(out.dollars, 10000);
+});
+
+test("computePositionSize sizes kelly from the exit plan payoff", () => {
+  const exitPlan = { takeProfitPct: 4, stopLossPct: 2 };
+  const out = computePositionSize(sizing({ mode: "kelly", maxPct: 100 }), inputs({ price: 100, learnedP: 0.6, exitPlan }));
+  assert.equal(out.kelly, 0.4);
+  assert.equal(out.qty, 100);
+
+  const none = computePositionSize(sizing({ mode: "kelly" }), inputs({ learnedP: 0.3 }));
+  assert.equal(none.qty, 0);
+  assert.match(none.reason, /no edge/);
+});
+
+test("computePositionSize targets volatility with a floor", () => {
+  const cfg = sizing({ mode: "vol_target", maxPct: 100 });
+  assert.equal(computePositionSize(cfg, inputs({ price: 100, volatilityPct: 2 })).qty, 250);
+
+  const floored = computePositionSize(cfg, inputs({ price: 100, volatilityPct: 0.2 }));
+  assert.equal(floored.volatilityPct, 1);
+  assert.equal(floored.qty, 500);
+});
+
+test("computePositionSize returns no shares when one share costs more than the budget", () => {
+  const out = computePositionSize(sizing(), inputs({ price: 3000 }));
+  assert.equal(out.qty, 0);
+  assert.match(out.reason, /below 1 share/);
+  assert.equal(computePositionSize(sizing({ fractional: true }), inputs({ price: 3000 })).qty, 0.6667);
+});
@@ -0,0 +1,73 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read at import time by server.js
+process.env.ADMIN_API_KEY = "test-admin-key";
+process.env.RUNNER_ENABLED = "false";
+const { dbInit, hasDb, pool } = await import("../db.js");
+const { app } = await import("../server.js");
+
+let server;
+let base;
+
+before(async () => {
+  if (hasDb) await dbInit();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await pool?.end();
+});
+
+async function call(method, path, body) {
+  const r = await fetch(base + path, {
+    method,
+    headers: { "X-API-Key": "test-admin-key", "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+test("GET /api/bars/:symbol rejects a non-integer limit", async () => {
+  const r = await call("GET", "/api/bars/AAPL?limit=ten");
+  assert.equal(r.status, 400);
+  assert.equal(r.body.error, "Invalid limit");
+});
+
+// These routes answer 503 or an empty list before looking at their parameters when there is no DB
+const needsDb = { skip: hasDb ? false : "DATABASE_URL not set" };
+
+for (const [method, path, body, error] of [
+  ["GET", "/api/orders?limit=abc", undefined, "Invalid limit"],
+  ["POST", "/api/orders/12abc/cancel", undefined, "Invalid order id"],
+  ["GET", "/api/pnl/closes/momentum?limit=1.5", undefined, "Invalid limit"],
+  ["GET", "/api/learning/checkpoints?days=x", undefined, "Invalid days"],
+  ["GET", "/api/models/momentum/history?limit=NaN", undefined, "Invalid limit"],
+  ["GET", "/api/models/momentum/diff?a=latest", undefined, "a and b must be live, shadow or a snapshot id"],
+  ["POST", "/api/models/momentum/rollback", { snapshotId: "abc" }, "snapshotId must be an integer"],
+  ["POST", "/api/models/momentum/shadow", { fromSnapshotId: "1e3x" }, "fromSnapshotId must be an integer"],
+]) {
+  test(`${method} ${path} answers 400`, needsDb, async () => {
+    const r = await call(method, path, body);
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, error);
+  });
+}
+
+test("unknown model snapshots are 404, not a server error", needsDb, async () => {
+  const r = await call("GET", "/api/models/momentum/diff?a=live&b=2147483647");
+  assert.equal(r.status, 404);
+});
+
+test("malformed JSON bodies answer 400 JSON", async () => {
+  const r = await fetch(`${base}/api/orders`, {
+    method: "POST",
+    headers: { "X-API-Key": "test-admin-key", "Content-Type": "application/json" },
+    body: "{",
+  });
+  assert.equal(r.status, 400);
+  assert.ok((await r.json()).error);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkSetting, checkValue, SETTINGS } from "../server.js";
+
+const fields = (out) => (out.errors || []).map((e) => e.field);
+
+test("checkSetting fills defaults for an empty per-bot setting", async () => {
+  assert.deepEqual(await checkSetting("risk", {}), { value: { default: {}, bots: {} } });
+  assert.deepEqual(await checkSetting("accounting", {}), { value: { method: "fifo", bots: {} } });
+});
+
+test("checkSetting keeps valid values and reports every invalid field with its path", async () => {
+  const ok = await checkSetting("risk", { default: { maxPositionPct: 25 }, bots: { momentum: { maxTradesPerDay: 10 } } });
+  assert.deepEqual(ok.value, { default: { maxPositionPct: 25 }, bots: { momentum: { maxTradesPerDay: 10 } } });
+
+  const bad = await checkSetting("risk", { default: { dailyLossLimitPct: 150, maxTradesPerDay: 1.5, maxDrawdownPct: "5" } });
+  assert.deepEqual(bad.errors, [
+    { field: "default.dailyLossLimitPct", message: "must be <= 100" },
+    { field: "default.maxTradesPerDay", message: "must be an integer" },
+    { field: "default.maxDrawdownPct", message: "must be a finite number" },
+  ]);
+});
+
+test("checkSetting rejects unknown fields, including inherited property names", async () => {
+  assert.deepEqual(fields(await checkSetting("risk", { default: { maxPos: 1 } })), ["default.maxPos"]);
+  assert.deepEqual(fields(await checkSetting("risk", { default: { toString: 1 }, constructor: {} })), ["constructor", "default.toString"]);
+});
+
+test("checkSetting rejects a __proto__ map key", async () => {
+  const out = await checkSetting("accounting", JSON.parse('{"bots":{"__proto__":"average"}}'));
+  assert.deepEqual(fields(out), ["bots.__proto__"]);
+});
+
+test("checkSetting normalizes strings and rejects duplicates", async () => {
+  const ok = await checkSetting("universe", { mode: "custom", custom: [" aapl ", "msft"] }, { verify: false });
+  assert.deepEqual(ok.value.custom, ["AAPL", "MSFT"]);
+
+  const dup = await checkSetting("universe", { custom: ["AAPL", "aapl"] }, { verify: false });
+  assert.deepEqual(dup.errors, [{ field: "custom[1]", message: "duplicate value" }]);
+});
+
+test("checkSetting runs refine only once the schema passes", async () => {
+  const empty = await checkSetting("universe", { mode: "custom" }, { verify: false });
+  assert.deepEqual(fields(empty), ["custom"]);
+
+  const both = await checkSetting("universe", { mode: "custom", custom: ["not a symbol"] }, { verify: false });
+  assert.deepEqual(fields(both), ["custom[0]"]);
+});
+
+test("checkSetting validates venues", async () => {
+  const ok = await checkSetting("venues", { symbols: { "shel.l": "lse" }, venues: { tse: { timezone: "Asia/Tokyo" } } });
+  assert.deepEqual(ok.value.symbols, { "SHEL.L": "lse" });
+
+  assert.deepEqual(fields(await checkSetting("venues", { venues: { tse: { name: "Tokyo" } } })), ["venues.tse"]);
+  assert.deepEqual(fields(await checkSetting("venues", { venues: { tse: { timezone: "Mars/Base" } } })), ["venues.tse.timezone"]);
+  assert.deepEqual(fields(await checkSetting("venues", { symbols: { "7203.T": "tse" } })), ["symbols.7203.T"]);
+});
+
+test("checkValue rejects map keys that do not match", () => {
+  const errors = [];
+  assert.equal(checkValue(SETTINGS.fx_rates.schema, { eur: 1.1, GBP: 0 }, "", errors), undefined);
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["eur", "GBP"]
+  );
+
+  const ok = [];
+  assert.deepEqual(checkValue(SETTINGS.fx_rates.schema, { EUR: 1.1 }, "", ok), { EUR: 1.1 });
+  assert.deepEqual(ok, []);
+});
+
+test("checkValue rejects a non-object body", () => {
+  const errors = [];
+  checkValue(SETTINGS.risk.schema, [], "", errors);
+  assert.deepEqual(errors, [{ field: "(body)", message: "must be an object" }]);
+});